@@ -0,0 +1,159 @@
+// Publisher adapters - one declaration per supported journal site
+// Loaded as a content script before content.js, and read by sync_manifest.js to
+// generate the manifest host lists.
+//
+// An adapter describes how to find supplementary videos on a publisher's pages:
+//   id             - short unique name
+//   name           - human readable publisher name
+//   hosts          - domains the adapter handles (subdomains included)
+//   itemSelector   - CSS selector for each supplementary item
+//   containerSelector - optional CSS selector for the section(s) holding the items; only
+//                    these are watched for changes (the whole page otherwise)
+//   archives       - true if the site ships videos inside archives (ZIP, tar, tar.gz, gzip)
+//   findLink(item)                - the download <a> element, or null
+//   getTitle(item, link)          - optional, defaults to the link text
+//   getDescription(item, link)    - optional, shown under the player
+//   insertPlayer(item, player, info) - place the player; info is { link, title, description }.
+//                                      Returns a function undoing its other changes to the item
+//                                      (used when players are removed again), if it made any
+
+(function(root) {
+  'use strict';
+
+  const adapters = [];
+
+  function registerAdapter(adapter) {
+    if (!adapter || !adapter.id || !Array.isArray(adapter.hosts) || !adapter.itemSelector ||
+        typeof adapter.findLink !== 'function' || typeof adapter.insertPlayer !== 'function') {
+      throw new Error('Invalid adapter: ' + (adapter && adapter.id));
+    }
+    if (adapters.some(a => a.id === adapter.id)) {
+      throw new Error('Duplicate adapter: ' + adapter.id);
+    }
+    adapters.push(adapter);
+  }
+
+  function hostMatches(hostname, host) {
+    return hostname === host || hostname.endsWith('.' + host);
+  }
+
+  // Find the adapter for a page hostname
+  function findAdapter(hostname) {
+    return adapters.find(adapter => adapter.hosts.some(host => hostMatches(hostname, host))) || null;
+  }
+
+  // Chrome match patterns covering every registered host
+  function matchPatterns() {
+    const patterns = [];
+    adapters.forEach(adapter => {
+      adapter.hosts.forEach(host => {
+        const pattern = `*://*.${host}/*`;
+        if (!patterns.includes(pattern)) patterns.push(pattern);
+      });
+    });
+    return patterns;
+  }
+
+  // Nature / Springer
+  registerAdapter({
+    id: 'nature',
+    name: 'Nature / Springer',
+    hosts: ['nature.com', 'springer.com'],
+    itemSelector: '.c-article-supplementary__item[data-test="supp-item"]',
+    containerSelector: '[data-test="supplementary-info"]',
+    findLink(item) {
+      return item.querySelector('a[data-test="supp-info-link"]');
+    },
+    getDescription(item) {
+      const descElement = item.querySelector('.c-article-supplementary__description p');
+      return descElement ? descElement.textContent.trim() : '';
+    },
+    insertPlayer(item, player, { title }) {
+      const titleElement = item.querySelector('.c-article-supplementary__title');
+      if (!titleElement) return;
+
+      // Replace the title link with just text
+      const originalTitle = [...titleElement.childNodes];
+      titleElement.innerHTML = '';
+      const titleText = document.createElement('span');
+      titleText.className = 'svp-video-title';
+      titleText.textContent = title;
+      titleElement.appendChild(titleText);
+
+      // Insert player after title
+      titleElement.parentNode.insertBefore(player, titleElement.nextSibling);
+
+      return () => titleElement.replaceChildren(...originalTitle);
+    }
+  });
+
+  // Science.org
+  registerAdapter({
+    id: 'science',
+    name: 'Science',
+    hosts: ['science.org'],
+    itemSelector: '.core-supplementary-material',
+    containerSelector: '.core-supplementary-materials',
+    archives: true,
+    findLink(item) {
+      const linkContainer = item.querySelector('.core-link');
+      return linkContainer ? linkContainer.querySelector('a[download]') : null;
+    },
+    getDescription(item) {
+      const descElement = item.querySelector('.core-description');
+      return descElement ? descElement.textContent.trim() : '';
+    },
+    insertPlayer(item, player) {
+      // Insert player after description
+      const descElement = item.querySelector('.core-description');
+      if (descElement) {
+        descElement.parentNode.insertBefore(player, descElement.nextSibling);
+      } else {
+        item.insertBefore(player, item.querySelector('.core-link'));
+      }
+    }
+  });
+
+  // APS / Phys Rev journals
+  registerAdapter({
+    id: 'aps',
+    name: 'APS Physical Review',
+    hosts: ['aps.org'],
+    itemSelector: '.supplemental-file',
+    containerSelector: '.supplemental-files',
+    findLink(item) {
+      // Prefer the textual link in the right block; fall back to any video-marked media link.
+      const videoLinks = item.querySelectorAll('a.media-link[data-type="video"]');
+      return Array.from(videoLinks).find((el) => el.classList.contains('default-link')) || videoLinks[0] || null;
+    },
+    getTitle(item, link) {
+      return link.textContent.trim() || link.getAttribute('data-id') || 'Supplementary video';
+    },
+    insertPlayer(item, player, { title }) {
+      const rightBlock = item.querySelector('.supplemental-file-right-block');
+      if (rightBlock) {
+        const titleRow = rightBlock.querySelector('a.media-link.default-link');
+        rightBlock.appendChild(player);
+        if (!titleRow) return;
+
+        const originalText = titleRow.textContent;
+        const originalHref = titleRow.getAttribute('href');
+        titleRow.textContent = title;
+        titleRow.removeAttribute('href');
+        return () => {
+          titleRow.textContent = originalText;
+          if (originalHref !== null) titleRow.setAttribute('href', originalHref);
+        };
+      } else {
+        item.appendChild(player);
+      }
+    }
+  });
+
+  root.SVPAdapters = {
+    register: registerAdapter,
+    all: () => adapters.slice(),
+    find: findAdapter,
+    matchPatterns
+  };
+})(globalThis);
@@ -0,0 +1,248 @@
+// Archive layer for the offscreen document - lists and reads files in ZIP, tar,
+// tar.gz/.tgz and gzip bundles, opening archives nested inside them.
+// Files of nested archives are named by their path through the outer ones,
+// e.g. "movies.zip/run1/movie.avi". Uses JSZip, which offscreen.html loads first,
+// and reads declared ZIP entry sizes with SVPZipReader (zip-reader.js).
+// Entry counts, sizes and compression ratios are held to SVPLimits (limits.js).
+
+(function(root) {
+  'use strict';
+
+  // How many archives deep nested bundles are opened
+  const MAX_DEPTH = 4;
+  const TAR_BLOCK = 512;
+  const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tgz', '.tar.gz', '.gz'];
+
+  function isArchiveName(name) {
+    const lowerName = name.toLowerCase();
+    return ARCHIVE_EXTENSIONS.some(ext => lowerName.endsWith(ext));
+  }
+
+  // macOS resource forks and hidden files are never wanted
+  function isJunk(name) {
+    const lowerName = name.toLowerCase();
+    return lowerName.startsWith('__macosx/') || lowerName.includes('/__macosx/') ||
+      name.split('/').pop().startsWith('.');
+  }
+
+  // Archive format from the first bytes: 'zip', 'gzip', 'tar' or null
+  async function sniff(blob) {
+    const bytes = new Uint8Array(await blob.slice(0, 262).arrayBuffer());
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b && (bytes[2] === 0x03 || bytes[2] === 0x05)) return 'zip';
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+    if (bytes.length >= 262 && String.fromCharCode(...bytes.subarray(257, 262)) === 'ustar') return 'tar';
+    return null;
+  }
+
+  // Sizes come from the central directory; JSZip inflates the entries
+  async function listZip(blob) {
+    const directory = new Map((await SVPZipReader.listBlob(blob)).map(entry => [entry.name, entry]));
+    const zip = await JSZip.loadAsync(blob);
+    const files = Object.values(zip.files).filter(file => !file.dir && !isJunk(file.name));
+    SVPLimits.checkEntryCount(files.length);
+    return files.map(file => {
+      const entry = directory.get(file.name) || null;
+      return { name: file.name, size: entry ? entry.size : 0, compressed: true, read: () => readZipFile(file, entry) };
+    });
+  }
+
+  // Inflate a ZIP entry, stopping as soon as it outgrows its declared size - the
+  // headers of a crafted archive can understate it. Entries missing from the central
+  // directory as read are held to the largest entry size allowed.
+  function readZipFile(file, entry) {
+    const known = Boolean(entry);
+    SVPLimits.checkEntry(file.name, known ? entry.size : 0, known ? entry.compressedSize : 0);
+    const maxBytes = known ? entry.size : SVPLimits.LIMITS.maxEntrySize;
+
+    return new Promise((resolve, reject) => {
+      const parts = [];
+      let total = 0;
+      const stream = file.internalStream('uint8array');
+      stream
+        .on('data', (chunk) => {
+          total += chunk.length;
+          if (total > maxBytes) {
+            stream.pause();
+            reject(known ? SVPLimits.sizeMismatchError(file.name) : SVPLimits.entryTooLargeError(file.name, null));
+            return;
+          }
+          parts.push(chunk);
+        })
+        .on('error', reject)
+        .on('end', () => resolve(new Blob(parts)))
+        .resume();
+    });
+  }
+
+  function readString(bytes, start, length) {
+    const end = bytes.indexOf(0, start);
+    const stop = end >= 0 && end < start + length ? end : start + length;
+    return new TextDecoder().decode(bytes.subarray(start, stop));
+  }
+
+  // Numeric tar header field: octal text, or base-256 for sizes of 8GB and up
+  function readTarNumber(bytes, start, length) {
+    if (bytes[start] & 0x80) {
+      let value = bytes[start] & 0x7f;
+      for (let i = start + 1; i < start + length; i++) {
+        value = value * 256 + bytes[i];
+      }
+      return value;
+    }
+    return parseInt(readString(bytes, start, length).trim(), 8) || 0;
+  }
+
+  // The path from a pax extended header ("<length> path=<value>\n" records)
+  function readPaxPath(text) {
+    const match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(text);
+    return match ? match[1] : null;
+  }
+
+  // File data stays in the archive blob; entries are slices of it
+  async function listTar(blob) {
+    const files = [];
+    let offset = 0;
+    let longName = null;
+
+    while (offset + TAR_BLOCK <= blob.size) {
+      const header = new Uint8Array(await blob.slice(offset, offset + TAR_BLOCK).arrayBuffer());
+      if (header.every(byte => byte === 0)) break; // End of archive
+
+      let name = readString(header, 0, 100);
+      const size = readTarNumber(header, 124, 12);
+      const type = header[156] ? String.fromCharCode(header[156]) : '0';
+      if (readString(header, 257, 6) === 'ustar') {
+        const prefix = readString(header, 345, 155);
+        if (prefix) name = prefix + '/' + name;
+      }
+
+      const dataStart = offset + TAR_BLOCK;
+      offset = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+      // GNU long names and pax headers name the entry that follows them
+      if (type === 'L' || type === 'x') {
+        const text = await blob.slice(dataStart, dataStart + size).text();
+        longName = type === 'L' ? text.replace(/\0+$/, '') : readPaxPath(text) || longName;
+        continue;
+      }
+      if (longName) {
+        name = longName;
+        longName = null;
+      }
+      name = name.replace(/^\.\//, '');
+
+      // Regular files only (plain and contiguous)
+      if ((type === '0' || type === '7') && !isJunk(name)) {
+        const data = blob.slice(dataStart, dataStart + size);
+        files.push({ name, size, read: async () => data });
+        SVPLimits.checkEntryCount(files.length);
+      }
+    }
+    return files;
+  }
+
+  // Original file name stored in a gzip header (FNAME), if any
+  async function gzipStoredName(blob) {
+    const bytes = new Uint8Array(await blob.slice(0, 1024).arrayBuffer());
+    const flags = bytes[3];
+    if (!(flags & 0x08)) return null;
+    let position = 10;
+    if (flags & 0x04) {
+      position += 2 + (bytes[10] | (bytes[11] << 8)); // Skip FEXTRA
+    }
+    const end = bytes.indexOf(0, position);
+    return end > position ? new TextDecoder('latin1').decode(bytes.subarray(position, end)) : null;
+  }
+
+  // A gzip file holds one file: the stored name, or the archive name without .gz.
+  // It is decompressed right away, within the compression ratio and memory limits.
+  async function listGzip(blob, name, budget) {
+    const baseName = name.split('/').pop();
+    const innerName = (await gzipStoredName(blob)) ||
+      (/\.tgz$/i.test(baseName) ? baseName.slice(0, -4) + '.tar' : baseName.replace(/\.gz$/i, '')) ||
+      'file';
+
+    // Whichever limit is closest applies
+    const { maxEntrySize, maxCompressionRatio, ratioCheckSize } = SVPLimits.LIMITS;
+    const [maxBytes, error] = [
+      [maxEntrySize, () => SVPLimits.entryTooLargeError(innerName, null)],
+      [Math.max(blob.size * maxCompressionRatio, ratioCheckSize), () => SVPLimits.compressionRatioError(innerName)],
+      [budget.remaining(), () => SVPLimits.archiveMemoryError()]
+    ].reduce((closest, limit) => (limit[0] < closest[0] ? limit : closest));
+    const limit = SVPLimits.limitStream(maxBytes, error);
+
+    const data = await new Response(blob.stream()
+      .pipeThrough(new DecompressionStream('gzip'))
+      .pipeThrough(limit)).blob();
+    budget.use(data.size);
+    return [{ name: innerName, size: data.size, read: async () => data, gzipped: true }];
+  }
+
+  // One level of an archive as [{ name, size, read() }], or null if blob is not one.
+  // budget tracks the decompressed data kept in memory (see SVPLimits.createMemoryBudget).
+  async function listContainer(blob, name, budget) {
+    let format = await sniff(blob);
+    // Pre-POSIX tar files have no magic
+    if (!format && /\.tar$/i.test(name)) format = 'tar';
+
+    if (format === 'zip') return listZip(blob);
+    if (format === 'tar') return listTar(blob);
+    if (format === 'gzip') return listGzip(blob, name, budget);
+    return null;
+  }
+
+  // Replace files that are archives themselves with their contents
+  async function expand(files, prefix, depth, budget) {
+    const result = [];
+    for (const file of files) {
+      const path = prefix + file.name;
+      if (isArchiveName(file.name) && depth < MAX_DEPTH) {
+        const innerBlob = await file.read();
+        // Nested ZIP entries are inflated into memory for as long as the archive is open
+        if (file.compressed) budget.use(innerBlob.size);
+        const inner = await listContainer(innerBlob, file.name, budget);
+        if (inner) {
+          // A gzip file is just a compressed file, not a folder level
+          const innerPrefix = inner.length === 1 && inner[0].gzipped
+            ? path.slice(0, path.lastIndexOf('/') + 1)
+            : path + '/';
+          result.push(...await expand(inner, innerPrefix, depth + 1, budget));
+          continue;
+        }
+      }
+      result.push({ name: path, size: file.size, read: file.read });
+    }
+    return result;
+  }
+
+  // Open an archive blob. Resolves { files: [{ name, size }], read(name) } where
+  // read resolves a file's contents as a Blob.
+  async function open(blob, fileName) {
+    const budget = SVPLimits.createMemoryBudget();
+    let top = await listContainer(blob, fileName || '', budget);
+    if (!top) {
+      throw new Error('Unsupported archive format');
+    }
+    // A .tar.gz lists as the tar inside it
+    if (top.length === 1 && top[0].gzipped && isArchiveName(top[0].name)) {
+      top = (await listContainer(await top[0].read(), top[0].name, budget)) || top;
+    }
+    const files = await expand(top, '', 1, budget);
+    SVPLimits.checkEntryCount(files.length);
+    const byName = new Map(files.map(file => [file.name, file]));
+
+    return {
+      files: files.map(file => ({ name: file.name, size: file.size })),
+      async read(name) {
+        const file = byName.get(name);
+        if (!file) {
+          throw new Error('Not found in archive: ' + name);
+        }
+        SVPLimits.checkEntry(file.name, file.size, 0);
+        return file.read();
+      }
+    };
+  }
+
+  root.SVPArchive = { open, isArchiveName };
+})(globalThis);
@@ -1,411 +1,626 @@
 // Background service worker - handles transcoding via offscreen document
 
-let creatingOffscreen = null;
-let offscreenPort = null;
-let pendingTranscode = null;
-let offscreenReady = false;
-let offscreenReadyResolve = null;
-
-// Storage for chunked transfers
-const chunkStorage = new Map(); // transferId -> { chunks: [], totalChunks: number }
-// Storage for results that need chunked retrieval
-const resultStorage = new Map(); // transferId -> { base64, mimeType }
+import './blob-store.js';
+import './settings.js';
 
-async function ensureOffscreenDocument() {
-  const offscreenUrl = 'offscreen.html';
+const OFFSCREEN_URL = 'offscreen.html';
+// How long a new or existing offscreen document gets to connect before it is replaced
+const OFFSCREEN_CONNECT_TIMEOUT = 10000;
+// The offscreen document (and FFmpeg's memory) is closed after this long without jobs
+const OFFSCREEN_IDLE_MS = 2 * 60 * 1000;
 
-  if (offscreenPort) return;
+let offscreenPort = null;
+let offscreenStarting = null;
+let offscreenReadyWaiters = [];
+let idleTimer = null;
 
-  const existingContexts = await chrome.runtime.getContexts({
+async function offscreenDocumentExists() {
+  const contexts = await chrome.runtime.getContexts({
     contextTypes: ['OFFSCREEN_DOCUMENT'],
-    documentUrls: [chrome.runtime.getURL(offscreenUrl)]
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
   });
+  return contexts.length > 0;
+}
 
-  if (existingContexts.length === 0) {
-    if (creatingOffscreen) {
-      await creatingOffscreen;
-    } else {
-      creatingOffscreen = chrome.offscreen.createDocument({
-        url: offscreenUrl,
+// Resolves when the offscreen document has connected and said READY
+function waitForOffscreenReady(timeout) {
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiter.timer = setTimeout(() => {
+      offscreenReadyWaiters = offscreenReadyWaiters.filter(other => other !== waiter);
+      reject(new Error('Offscreen document did not connect'));
+    }, timeout);
+    offscreenReadyWaiters.push(waiter);
+  });
+}
+
+async function startOffscreenDocument() {
+  // An existing document reconnects on its own (see offscreen.js) - unless it hung,
+  // in which case it is replaced once
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const ready = waitForOffscreenReady(OFFSCREEN_CONNECT_TIMEOUT);
+    if (!(await offscreenDocumentExists())) {
+      await chrome.offscreen.createDocument({
+        url: OFFSCREEN_URL,
         reasons: ['WORKERS'],
         justification: 'FFmpeg WASM transcoding requires workers'
       });
-      await creatingOffscreen;
-      creatingOffscreen = null;
+    }
+    try {
+      await ready;
+      return;
+    } catch (error) {
+      if (attempt === 1) throw error;
+      await chrome.offscreen.closeDocument().catch(() => {});
     }
   }
+}
 
-  let attempts = 0;
-  while (!offscreenPort && attempts < 50) {
-    await new Promise(r => setTimeout(r, 100));
-    attempts++;
-  }
-
-  if (!offscreenPort) {
-    throw new Error('Offscreen document did not connect');
-  }
-
-  if (!offscreenReady) {
-    await new Promise((resolve) => {
-      offscreenReadyResolve = resolve;
-      setTimeout(() => {
-        if (offscreenReadyResolve) {
-          offscreenReadyResolve();
-          offscreenReadyResolve = null;
-        }
-      }, 5000);
+async function ensureOffscreenDocument() {
+  if (offscreenPort) return;
+  if (!offscreenStarting) {
+    offscreenStarting = startOffscreenDocument().finally(() => {
+      offscreenStarting = null;
     });
   }
+  await offscreenStarting;
 }
 
-// Storage for chunked results from offscreen
-let chunkedResult = null;
-
-chrome.runtime.onConnect.addListener((port) => {
-  if (port.name === 'offscreen') {
-    offscreenPort = port;
-
-    port.onMessage.addListener((message) => {
-      if (message.type === 'READY') {
-        offscreenReady = true;
-        if (offscreenReadyResolve) {
-          offscreenReadyResolve();
-          offscreenReadyResolve = null;
-        }
-      }
-
-      if (message.type === 'PROGRESS' && message.tabId) {
-        chrome.tabs.sendMessage(message.tabId, {
-          type: 'TRANSCODE_PROGRESS',
-          progress: message.progress,
-          status: message.status
-        }).catch(() => {});
-      }
-
-      if (message.type === 'RESULT' && pendingTranscode) {
-        if (message.error) {
-          pendingTranscode.reject(new Error(message.error));
-        } else {
-          pendingTranscode.resolve(message.result);
-        }
-        pendingTranscode = null;
-      }
-
-      // Handle chunked results from offscreen
-      if (message.type === 'RESULT_CHUNKED_START') {
-        chunkedResult = {
-          mimeType: message.mimeType,
-          isMultipleVideos: message.isMultipleVideos || false,
-          totalChunks: message.totalChunks,
-          chunks: [],
-          received: 0
-        };
-      }
-
-      if (message.type === 'RESULT_CHUNK' && chunkedResult) {
-        chunkedResult.chunks[message.chunkIndex] = message.chunk;
-        chunkedResult.received++;
-      }
-
-      if (message.type === 'RESULT_CHUNKED_END' && chunkedResult && pendingTranscode) {
-        const combined = chunkedResult.chunks.join('');
-
-        let result;
-        if (chunkedResult.isMultipleVideos) {
-          // Parse the JSON for multiple videos
-          result = JSON.parse(combined);
-        } else {
-          // Single video base64 data
-          result = {
-            base64: combined,
-            mimeType: chunkedResult.mimeType
-          };
-        }
-        chunkedResult = null;
-        pendingTranscode.resolve(result);
-        pendingTranscode = null;
-      }
-    });
-
-    port.onDisconnect.addListener(() => {
-      offscreenPort = null;
-    });
+// Close the offscreen document once no job has needed it for OFFSCREEN_IDLE_MS. The
+// idle start is kept in session storage, so a service worker restart (which makes the
+// document reconnect) does not postpone closing forever.
+async function scheduleIdleClose() {
+  clearTimeout(idleTimer);
+  if (jobs.size > 0) {
+    await chrome.storage.session.remove(IDLE_SINCE_KEY);
+    return;
   }
-});
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'TRANSCODE_VIDEO') {
-    handleTranscode(message.videoUrl, sender.tab.id)
-      .then(result => sendResponse(result))
-      .catch(error => sendResponse({ error: error.message }));
-    return true;
+  const stored = await chrome.storage.session.get(IDLE_SINCE_KEY);
+  const idleSince = stored[IDLE_SINCE_KEY] || Date.now();
+  if (!stored[IDLE_SINCE_KEY]) {
+    await chrome.storage.session.set({ [IDLE_SINCE_KEY]: idleSince });
   }
+  idleTimer = setTimeout(closeIdleOffscreenDocument, Math.max(idleSince + OFFSCREEN_IDLE_MS - Date.now(), 0));
+}
 
-  if (message.type === 'EXTRACT_ZIP') {
-    handleExtractZip(message.zipUrl, sender.tab.id)
-      .then(result => sendResponse(result))
-      .catch(error => sendResponse({ error: error.message }));
-    return true;
+async function closeIdleOffscreenDocument() {
+  if (jobs.size > 0 || offscreenStarting) return;
+  await chrome.storage.session.remove(IDLE_SINCE_KEY);
+  if (offscreenPort) {
+    offscreenPort.postMessage({ type: 'CLOSING' });
+    offscreenPort = null;
   }
+  await chrome.offscreen.closeDocument().catch(() => {});
+}
 
-  if (message.type === 'EXTRACT_ZIP_DATA') {
-    handleExtractZipData(message.zipBase64, sender.tab.id)
-      .then(result => sendResponse(result))
-      .catch(error => sendResponse({ error: error.message }));
-    return true;
-  }
+// Job manager - every transcode/extract request becomes a job with its own ID.
+// Jobs wait in a queue and at most maxConcurrentJobs (an option) are sent to the
+// offscreen document at once; offscreen messages carry the job ID so results and
+// progress reach the tab and player that asked for them. Jobs there take turns with
+// FFmpeg, and a job's timeout is paused while it waits for its turn.
+// Jobs are mirrored to chrome.storage.session, so a suspended and restarted service
+// worker still knows them: their outcome then goes to the tab as a JOB_FINISHED
+// message, as the original reply channel is gone. Jobs interrupted by a crashed
+// offscreen document are run again, up to MAX_JOB_ATTEMPTS times.
+let maxConcurrentJobs = SVPSettings.DEFAULTS.maxConcurrentJobs;
+const MAX_JOB_ATTEMPTS = 2;
+const JOBS_KEY = 'jobs';
+const IDLE_SINCE_KEY = 'offscreenIdleSince';
+
+const JOB_TIMEOUTS = {
+  TRANSCODE: 5 * 60 * 1000,
+  TRANSCODE_DATA: 5 * 60 * 1000,
+  EXTRACT_ZIP_DATA: 10 * 60 * 1000, // 10 minutes for large files
+  EXTRACT_ZIP_ENTRY: 10 * 60 * 1000,
+  PROBE: 60 * 1000
+};
+
+const JOB_TIMEOUT_MESSAGES = {
+  TRANSCODE: 'Transcoding timed out',
+  TRANSCODE_DATA: 'Transcoding timed out',
+  EXTRACT_ZIP_DATA: 'Archive extraction timed out',
+  EXTRACT_ZIP_ENTRY: 'Archive extraction timed out',
+  PROBE: 'Reading video details timed out'
+};
+
+const jobs = new Map(); // jobId -> job
+const jobQueue = []; // jobIds waiting to start
+
+// Jobs are 'queued', 'starting' (waiting for the offscreen document) or 'running'
+function runningJobCount() {
+  let count = 0;
+  jobs.forEach(job => {
+    if (job.state !== 'queued') count++;
+  });
+  return count;
+}
 
-  if (message.type === 'EXTRACT_ZIP_CHUNK') {
-    handleExtractZipChunk(message.transferId, message.chunkIndex, message.totalChunks, message.chunk)
-      .then(result => sendResponse(result))
-      .catch(error => sendResponse({ error: error.message }));
-    return true;
-  }
+// Write the jobs (without their timers and reply callbacks) to session storage
+function persistJobs() {
+  const stored = [...jobs.values()].map(job => ({
+    id: job.id,
+    type: job.type,
+    payload: job.payload,
+    tabId: job.tabId,
+    frameId: job.frameId,
+    documentId: job.documentId,
+    playerId: job.playerId,
+    state: job.state,
+    attempts: job.attempts,
+    startedAt: job.startedAt,
+    waiting: job.waiting
+  }));
+  chrome.storage.session.set({ [JOBS_KEY]: stored }).catch((error) => {
+    console.warn('Could not persist jobs:', error);
+  });
+}
 
-  if (message.type === 'EXTRACT_ZIP_PROCESS') {
-    handleExtractZipProcess(message.transferId, sender.tab.id)
-      .then(result => sendResponse(result))
-      .catch(error => sendResponse({ error: error.message }));
-    return true;
-  }
+// Jobs from before a service worker restart. They have no reply callbacks; running
+// ones are checked against the offscreen document when it reconnects.
+async function restoreJobs() {
+  const stored = await chrome.storage.session.get(JOBS_KEY);
+  (stored[JOBS_KEY] || []).forEach(saved => {
+    if (jobs.has(saved.id)) return;
+    const job = { ...saved, timer: null, resolve: null, reject: null };
+    // A job that never reached the offscreen document starts over
+    if (job.state === 'starting') job.state = 'queued';
+    jobs.set(job.id, job);
+    if (job.state === 'queued') {
+      jobQueue.push(job.id);
+    }
+  });
+}
 
-  if (message.type === 'GET_RESULT_CHUNK') {
-    handleGetResultChunk(message.resultId, message.chunkIndex)
-      .then(result => sendResponse(result))
-      .catch(error => sendResponse({ error: error.message }));
-    return true;
-  }
+const jobsRestored = restoreJobs().catch((error) => {
+  console.warn('Could not restore jobs:', error);
 });
 
-async function handleTranscode(videoUrl, tabId) {
-  await ensureOffscreenDocument();
+function applyJobSettings(settings) {
+  maxConcurrentJobs = Math.max(1, settings.maxConcurrentJobs);
+}
 
-  const resultPromise = new Promise((resolve, reject) => {
-    pendingTranscode = { resolve, reject };
-    setTimeout(() => {
-      if (pendingTranscode) {
-        pendingTranscode.reject(new Error('Transcoding timed out'));
-        pendingTranscode = null;
-      }
-    }, 5 * 60 * 1000);
+const jobSettingsLoaded = SVPSettings.load().then(applyJobSettings);
+
+// Queue a job for the offscreen document; resolves with its result
+function submitJob(type, payload, sender, playerId) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    tabId: sender.tab.id,
+    frameId: sender.frameId,
+    documentId: sender.documentId,
+    playerId: playerId || null,
+    state: 'queued',
+    attempts: 0,
+    startedAt: null,
+    waiting: false,
+    timer: null
+  };
+
+  const promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
   });
 
-  offscreenPort.postMessage({
-    type: 'TRANSCODE',
-    videoUrl: videoUrl,
-    tabId: tabId
-  });
+  jobs.set(job.id, job);
+  jobQueue.push(job.id);
+  clearTimeout(idleTimer);
+  chrome.storage.session.remove(IDLE_SINCE_KEY).catch(() => {});
+  persistJobs();
+  Promise.all([jobsRestored, jobSettingsLoaded]).then(pumpJobQueue);
+  return promise;
+}
 
-  return await resultPromise;
+function pumpJobQueue() {
+  while (runningJobCount() < maxConcurrentJobs && jobQueue.length > 0) {
+    const job = jobs.get(jobQueue.shift());
+    if (!job || job.state !== 'queued') continue;
+    startJob(job).catch(error => finishJob(job.id, error.message || String(error)));
+  }
 }
 
-async function handleExtractZip(zipUrl, tabId) {
+async function startJob(job) {
+  job.state = 'starting';
+  job.attempts++;
+  persistJobs();
   await ensureOffscreenDocument();
+  if (jobs.get(job.id) !== job) return; // Cancelled meanwhile
 
-  const resultPromise = new Promise((resolve, reject) => {
-    pendingTranscode = { resolve, reject };
-    setTimeout(() => {
-      if (pendingTranscode) {
-        pendingTranscode.reject(new Error('ZIP extraction timed out'));
-        pendingTranscode = null;
-      }
-    }, 5 * 60 * 1000);
-  });
-
+  job.state = 'running';
+  job.startedAt = Date.now();
+  job.waiting = false;
+  persistJobs();
+  armJobTimer(job);
   offscreenPort.postMessage({
-    type: 'EXTRACT_ZIP',
-    zipUrl: zipUrl,
-    tabId: tabId
+    type: job.type,
+    jobId: job.id,
+    ...job.payload
   });
+}
 
-  return await resultPromise;
+// Time out a job JOB_TIMEOUTS after it (last) started
+function armJobTimer(job) {
+  clearTimeout(job.timer);
+  const remaining = job.startedAt + JOB_TIMEOUTS[job.type] - Date.now();
+  job.timer = setTimeout(() => {
+    cancelJob(job, JOB_TIMEOUT_MESSAGES[job.type]);
+  }, Math.max(remaining, 0));
 }
 
-async function handleExtractZipData(zipBase64, tabId) {
-  await ensureOffscreenDocument();
+// The offscreen document queued a job behind another one using FFmpeg: its time
+// only counts once it gets FFmpeg itself
+function pauseJobTimer(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.state !== 'running') return;
+  clearTimeout(job.timer);
+  job.timer = null;
+  job.waiting = true;
+  persistJobs();
+}
 
-  const resultPromise = new Promise((resolve, reject) => {
-    pendingTranscode = { resolve, reject };
-    setTimeout(() => {
-      if (pendingTranscode) {
-        pendingTranscode.reject(new Error('ZIP extraction timed out'));
-        pendingTranscode = null;
-      }
-    }, 5 * 60 * 1000);
-  });
+function resumeJobTimer(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || !job.waiting) return;
+  job.waiting = false;
+  job.startedAt = Date.now();
+  persistJobs();
+  armJobTimer(job);
+}
 
-  offscreenPort.postMessage({
-    type: 'EXTRACT_ZIP_DATA',
-    zipBase64: zipBase64,
-    tabId: tabId
-  });
+// Settle a job and let the next queued one start
+function finishJob(jobId, error, result) {
+  const job = jobs.get(jobId);
+  if (!job) return; // Already timed out or finished
 
-  const result = await resultPromise;
-
-  // Check if result is too large to send in one message (>32MB base64)
-  const MAX_RESPONSE_SIZE = 32 * 1024 * 1024;
-  if (result.base64 && result.base64.length > MAX_RESPONSE_SIZE) {
-    // Store result for chunked retrieval
-    const resultId = Date.now().toString() + '_result';
-    resultStorage.set(resultId, result);
-
-    const totalChunks = Math.ceil(result.base64.length / MAX_RESPONSE_SIZE);
-    return {
-      chunked: true,
-      resultId: resultId,
-      totalChunks: totalChunks,
-      totalLength: result.base64.length,
-      mimeType: result.mimeType
-    };
+  jobs.delete(jobId);
+  clearTimeout(job.timer);
+  persistJobs();
+
+  // A converted file's input is only needed until its job is over
+  if (job.type === 'TRANSCODE_DATA' && job.payload.transferId) {
+    SVPBlobStore.remove(job.payload.transferId).catch(() => {});
   }
 
-  return result;
+  if (job.resolve) {
+    if (error) {
+      job.reject(new Error(error));
+    } else {
+      job.resolve({ ...result, jobId: job.id, playerId: job.playerId });
+    }
+  } else {
+    // Restored after a service worker restart - the tab is no longer waiting on a reply
+    chrome.tabs.sendMessage(job.tabId, {
+      type: 'JOB_FINISHED',
+      playerId: job.playerId,
+      response: error ? { error } : { ...result, jobId: job.id, playerId: job.playerId }
+    }, { frameId: job.frameId }).catch(() => {
+      if (result) discardJobResult(result);
+    });
+  }
+
+  pumpJobQueue();
+  scheduleIdleClose().catch(() => {});
+}
+
+// Delete blob store entries of a result nobody will collect
+function discardJobResult(result) {
+  const ids = result.videos ? result.videos.map(video => video.blobId) : [result.blobId];
+  ids.filter(Boolean).forEach(id => SVPBlobStore.remove(id).catch(() => {}));
 }
 
-async function handleExtractZipChunk(transferId, chunkIndex, totalChunks, chunk) {
-  if (!chunkStorage.has(transferId)) {
-    chunkStorage.set(transferId, { chunks: new Array(totalChunks), totalChunks, received: 0 });
+// Stop a job: running jobs are aborted in the offscreen document, queued ones
+// drop the input they left in the blob store
+function cancelJob(job, reason) {
+  if (job.state === 'running' && offscreenPort) {
+    offscreenPort.postMessage({ type: 'CANCEL', jobId: job.id });
+  } else if (job.state === 'queued' && job.payload.transferId) {
+    SVPBlobStore.remove(job.payload.transferId).catch(() => {});
   }
+  finishJob(job.id, reason);
+}
 
-  const storage = chunkStorage.get(transferId);
-  storage.chunks[chunkIndex] = chunk;
-  storage.received++;
+// Cancel every job test(job) is true for; returns how many there were
+function cancelJobsWhere(test, reason) {
+  const matching = [...jobs.values()].filter(test);
+  matching.forEach(job => cancelJob(job, reason));
+  return matching.length;
+}
 
+// A running job the offscreen document lost (it crashed or was replaced): run it
+// again while attempts are left, otherwise report the failure to the player
+function interruptJob(job, reason) {
+  clearTimeout(job.timer);
+  if (job.attempts < MAX_JOB_ATTEMPTS) {
+    console.warn(`Retrying ${job.type} job after: ${reason}`);
+    job.state = 'queued';
+    jobQueue.unshift(job.id);
+    persistJobs();
+    return;
+  }
+  finishJob(job.id, reason);
+}
 
-  return { success: true, received: storage.received, total: totalChunks };
+// Match the jobs the (re)connected offscreen document is running against ours
+function reconcileJobs(activeJobIds) {
+  jobs.forEach(job => {
+    if (job.state !== 'running') return;
+    if (activeJobIds.includes(job.id)) {
+      // Still going - restored jobs need their timeout again
+      if (!job.timer && !job.waiting) armJobTimer(job);
+    } else {
+      interruptJob(job, 'The converter was restarted');
+    }
+  });
+  // Jobs the offscreen document runs but nobody knows of any more
+  activeJobIds.filter(id => !jobs.has(id)).forEach(id => {
+    offscreenPort.postMessage({ type: 'CANCEL', jobId: id });
+  });
+  pumpJobQueue();
 }
 
-async function handleExtractZipProcess(transferId, tabId) {
-  const storage = chunkStorage.get(transferId);
-  if (!storage) {
-    throw new Error('Transfer not found: ' + transferId);
-  }
+// Forward a progress-style message from the offscreen document to its job's player
+function forwardToPlayer(jobId, message) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+  chrome.tabs.sendMessage(job.tabId, {
+    ...message,
+    jobId: job.id,
+    playerId: job.playerId
+  }, { frameId: job.frameId }).catch(() => {});
+}
 
-  if (storage.received !== storage.totalChunks) {
-    throw new Error(`Incomplete transfer: received ${storage.received}/${storage.totalChunks} chunks`);
+// Per-file conversion timings from the offscreen document (which has no storage
+// access), newest last, to compare the WebCodecs and libx264 encoders
+const BENCHMARKS_KEY = 'transcodeBenchmarks';
+const MAX_BENCHMARKS = 200;
+
+async function recordBenchmark(entry) {
+  try {
+    const stored = await chrome.storage.local.get(BENCHMARKS_KEY);
+    const benchmarks = stored[BENCHMARKS_KEY] || [];
+    benchmarks.push(entry);
+    await chrome.storage.local.set({ [BENCHMARKS_KEY]: benchmarks.slice(-MAX_BENCHMARKS) });
+  } catch (error) {
+    console.warn('Could not record conversion benchmark:', error);
   }
+}
 
-  // Combine all chunks
-  const zipBase64 = storage.chunks.join('');
-  chunkStorage.delete(transferId); // Clean up
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'offscreen') return;
+  let connected = true;
+
+  port.onMessage.addListener((message) => {
+    // Jobs are only sent once the port is known to be ready and reconciled, so a job
+    // started now is never mistaken for one the document lost
+    if (message.type === 'READY') {
+      Promise.all([jobsRestored, SVPSettings.load()]).then(([, settings]) => {
+        // Gone again while settings loaded - the document reconnects on its own
+        if (!connected) return;
+        offscreenPort = port;
+        port.postMessage({ type: 'SETTINGS', settings });
+        reconcileJobs(message.jobIds || []);
+        const waiters = offscreenReadyWaiters;
+        offscreenReadyWaiters = [];
+        waiters.forEach(waiter => {
+          clearTimeout(waiter.timer);
+          waiter.resolve();
+        });
+        scheduleIdleClose().catch(() => {});
+      }).catch((error) => {
+        // A port that died meanwhile is cleared by its onDisconnect
+        console.warn('Could not set up the offscreen document:', error);
+      });
+    }
 
+    if (message.type === 'FFMPEG_WAIT') {
+      jobsRestored.then(() => pauseJobTimer(message.jobId));
+    }
 
-  // Now process like normal
-  await ensureOffscreenDocument();
+    if (message.type === 'FFMPEG_START') {
+      jobsRestored.then(() => resumeJobTimer(message.jobId));
+    }
 
-  const resultPromise = new Promise((resolve, reject) => {
-    pendingTranscode = { resolve, reject };
-    setTimeout(() => {
-      if (pendingTranscode) {
-        pendingTranscode.reject(new Error('ZIP extraction timed out'));
-        pendingTranscode = null;
-      }
-    }, 10 * 60 * 1000); // 10 minutes for large files
-  });
+    if (message.type === 'PROGRESS') {
+      forwardToPlayer(message.jobId, { type: 'TRANSCODE_PROGRESS', progress: message.progress });
+    }
 
-  // Send to offscreen, chunking if necessary
-  const MAX_CHUNK_SIZE = 32 * 1024 * 1024;
-  if (zipBase64.length > MAX_CHUNK_SIZE) {
-    const totalChunks = Math.ceil(zipBase64.length / MAX_CHUNK_SIZE);
+    // Playable piece of a progressive transcode
+    if (message.type === 'SEGMENT') {
+      forwardToPlayer(message.jobId, { type: 'TRANSCODE_SEGMENT', segment: message.segment });
+    }
 
-    offscreenPort.postMessage({
-      type: 'EXTRACT_ZIP_DATA_START',
-      totalChunks: totalChunks,
-      totalLength: zipBase64.length,
-      tabId: tabId
-    });
+    // Short low-resolution preview shown while the full conversion runs
+    if (message.type === 'PREVIEW') {
+      forwardToPlayer(message.jobId, { type: 'TRANSCODE_PREVIEW', preview: message.preview });
+    }
 
-    for (let i = 0; i < totalChunks; i++) {
-      const start = i * MAX_CHUNK_SIZE;
-      const end = Math.min(start + MAX_CHUNK_SIZE, zipBase64.length);
-      const chunk = zipBase64.substring(start, end);
-      offscreenPort.postMessage({
-        type: 'EXTRACT_ZIP_DATA_CHUNK',
-        chunkIndex: i,
-        chunk: chunk
-      });
+    if (message.type === 'RESULT') {
+      jobsRestored.then(() => finishJob(message.jobId, message.error, message.result));
     }
 
-    offscreenPort.postMessage({
-      type: 'EXTRACT_ZIP_DATA_END',
-      tabId: tabId
-    });
-  } else {
-    offscreenPort.postMessage({
-      type: 'EXTRACT_ZIP_DATA',
-      zipBase64: zipBase64,
-      tabId: tabId
+    if (message.type === 'BENCHMARK') {
+      recordBenchmark(message.entry);
+    }
+  });
+
+  // The offscreen document went away (crash, out of memory, closed): its running jobs
+  // are lost. Make sure a hung remnant is gone before the next job starts a new one.
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    if (offscreenPort !== port) return;
+    offscreenPort = null;
+    const lost = [...jobs.values()].filter(job => job.state === 'running');
+    if (lost.length === 0) return;
+    chrome.offscreen.closeDocument().catch(() => {}).finally(() => {
+      lost.forEach(job => interruptJob(job, 'The converter stopped unexpectedly (it may have run out of memory)'));
+      pumpJobQueue();
     });
+  });
+});
+
+// Native-or-transcode outcomes of video URLs (read by content.js). All tabs' writes
+// go through here one at a time, so outcomes saved at once do not overwrite each other.
+const PLAYBACK_OUTCOMES_KEY = 'playbackOutcomes';
+const MAX_PLAYBACK_OUTCOMES = 500;
+// Outcomes expire in content.js; a confirmed one is renewed at most this often
+const PLAYBACK_OUTCOME_RENEW_AGE = 24 * 60 * 60 * 1000;
+let playbackOutcomeWrites = Promise.resolve();
+
+function rememberPlaybackOutcome(url, mode) {
+  playbackOutcomeWrites = playbackOutcomeWrites.then(async () => {
+    const stored = await chrome.storage.local.get(PLAYBACK_OUTCOMES_KEY);
+    const outcomes = stored[PLAYBACK_OUTCOMES_KEY] || {};
+    const known = outcomes[url];
+    if (known && known.mode === mode && Date.now() - known.time < PLAYBACK_OUTCOME_RENEW_AGE) return;
+    outcomes[url] = { mode, time: Date.now() };
+
+    // Forget the oldest outcomes beyond the limit
+    const urls = Object.keys(outcomes);
+    if (urls.length > MAX_PLAYBACK_OUTCOMES) {
+      urls.sort((a, b) => outcomes[a].time - outcomes[b].time)
+        .slice(0, urls.length - MAX_PLAYBACK_OUTCOMES)
+        .forEach(oldUrl => delete outcomes[oldUrl]);
+    }
+    await chrome.storage.local.set({ [PLAYBACK_OUTCOMES_KEY]: outcomes });
+  }).catch((error) => {
+    console.warn('Could not remember playback outcome:', error);
+  });
+}
+
+// One-time tokens for bridge iframes (see bridge.js), by token. A content script asks
+// for one and hands it to its bridge, which redeems it before serving any request.
+const BRIDGE_TOKEN_TTL = 30 * 1000;
+const bridgeTokens = new Map(); // token -> { tabId, expires }
+
+function issueBridgeToken(tabId) {
+  const now = Date.now();
+  bridgeTokens.forEach((entry, token) => {
+    if (entry.expires < now) bridgeTokens.delete(token);
+  });
+  const token = crypto.randomUUID();
+  bridgeTokens.set(token, { tabId, expires: now + BRIDGE_TOKEN_TTL });
+  return token;
+}
+
+// Valid for the bridge page in the tab the token was issued to, once
+function redeemBridgeToken(token, sender) {
+  const entry = bridgeTokens.get(token);
+  if (!entry) return false;
+  bridgeTokens.delete(token);
+  return entry.expires >= Date.now() &&
+    sender.url === chrome.runtime.getURL('bridge.html') &&
+    Boolean(sender.tab) && sender.tab.id === entry.tabId;
+}
+
+// The offscreen document cannot read storage; pass option changes on while it runs
+SVPSettings.watch((settings) => {
+  applyJobSettings(settings);
+  pumpJobQueue();
+  if (offscreenPort) {
+    offscreenPort.postMessage({ type: 'SETTINGS', settings });
   }
+});
 
-  const result = await resultPromise;
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'BRIDGE_TOKEN') {
+    if (!sender.tab) return;
+    sendResponse({ token: issueBridgeToken(sender.tab.id) });
+    return;
+  }
 
-  // Check if result is too large to send in one message (>32MB)
-  const MAX_RESPONSE_SIZE = 32 * 1024 * 1024;
+  if (message.type === 'REDEEM_BRIDGE_TOKEN') {
+    sendResponse({ valid: redeemBridgeToken(message.token, sender) });
+    return;
+  }
 
-  // Calculate total size
-  let totalSize = 0;
-  if (result.base64) {
-    totalSize = result.base64.length;
-  } else if (result.multiple && result.videos) {
-    totalSize = result.videos.reduce((sum, v) => sum + v.base64.length, 0);
+  if (message.type === 'TRANSCODE_VIDEO') {
+    submitJob('TRANSCODE', {
+      videoUrl: message.videoUrl,
+      profile: message.profile,
+      progressive: message.progressive || false,
+      preview: message.preview || false
+    }, sender, message.playerId)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
   }
 
-  if (totalSize > MAX_RESPONSE_SIZE) {
-    // Store result for chunked retrieval
-    const resultId = transferId + '_result';
-
-    if (result.multiple && result.videos) {
-      // For multiple videos, serialize to JSON
-      const jsonStr = JSON.stringify(result);
-      resultStorage.set(resultId, { json: jsonStr, isMultipleVideos: true });
-
-      const totalChunks = Math.ceil(jsonStr.length / MAX_RESPONSE_SIZE);
-      return {
-        chunked: true,
-        resultId: resultId,
-        totalChunks: totalChunks,
-        totalLength: jsonStr.length,
-        isMultipleVideos: true
-      };
-    } else {
-      // Single video
-      resultStorage.set(resultId, result);
-
-      const totalChunks = Math.ceil(result.base64.length / MAX_RESPONSE_SIZE);
-      return {
-        chunked: true,
-        resultId: resultId,
-        totalChunks: totalChunks,
-        totalLength: result.base64.length,
-        mimeType: result.mimeType
-      };
-    }
+  // A player found its video plays natively or needs converting
+  if (message.type === 'REMEMBER_PLAYBACK_OUTCOME') {
+    rememberPlaybackOutcome(message.url, message.mode);
+    return;
   }
 
-  return result;
-}
+  // Describe a natively played video from its header
+  if (message.type === 'PROBE_VIDEO') {
+    submitJob('PROBE', { videoUrl: message.videoUrl }, sender, message.playerId)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
 
-async function handleGetResultChunk(resultId, chunkIndex) {
-  const stored = resultStorage.get(resultId);
-  if (!stored) {
-    throw new Error('Result not found: ' + resultId);
+  // Transcode a single video the content script placed in the blob store
+  if (message.type === 'TRANSCODE_DATA') {
+    submitJob('TRANSCODE_DATA', {
+      transferId: message.transferId,
+      fileName: message.fileName,
+      cacheSource: message.cacheSource,
+      profile: message.profile
+    }, sender, message.playerId)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
   }
 
-  const MAX_CHUNK_SIZE = 32 * 1024 * 1024;
+  // List the videos in an archive the content script placed in the blob store
+  if (message.type === 'EXTRACT_ZIP_DATA') {
+    submitJob('EXTRACT_ZIP_DATA', {
+      transferId: message.transferId,
+      archiveName: message.archiveName
+    }, sender, message.playerId)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
 
-  // Handle both single video (base64) and multiple videos (json)
-  const data = stored.isMultipleVideos ? stored.json : stored.base64;
-  const start = chunkIndex * MAX_CHUNK_SIZE;
-  const end = Math.min(start + MAX_CHUNK_SIZE, data.length);
-  const chunk = data.substring(start, end);
-  const isLast = end >= data.length;
+  // Extract (and transcode if needed) one video of a listed archive, or any file as stored
+  if (message.type === 'EXTRACT_ZIP_ENTRY') {
+    submitJob('EXTRACT_ZIP_ENTRY', {
+      archiveId: message.archiveId,
+      archiveName: message.archiveName,
+      entryName: message.entryName,
+      cacheSource: message.cacheSource,
+      profile: message.profile,
+      raw: message.raw || false
+    }, sender, message.playerId)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
 
-  // Clean up if this is the last chunk
-  if (isLast) {
-    resultStorage.delete(resultId);
+  // Cancel button in a player
+  if (message.type === 'CANCEL_JOB') {
+    jobsRestored.then(() => {
+      const cancelled = cancelJobsWhere(job => job.tabId === sender.tab.id && job.playerId === message.playerId,
+        'Cancelled');
+      sendResponse({ cancelled });
+    });
+    return true;
   }
 
-  return { chunk, isLast };
-}
+  // The page is going away (reload, navigation): nobody will collect its jobs' results
+  if (message.type === 'CANCEL_PAGE_JOBS') {
+    jobsRestored.then(() => {
+      cancelJobsWhere(job => job.tabId === sender.tab.id && job.documentId === sender.documentId,
+        'Page closed');
+    });
+    return;
+  }
+});
 
+// A closed tab's jobs would otherwise keep FFmpeg busy until they time out
+chrome.tabs.onRemoved.addListener((tabId) => {
+  jobsRestored.then(() => cancelJobsWhere(job => job.tabId === tabId, 'Tab closed'));
+});
@@ -0,0 +1,219 @@
+// Shared blob store - IndexedDB in the extension origin, used to move binary data
+// between the content script (through bridge.html), background and offscreen
+// document without base64 encoding or message size limits.
+// Extension frames embedded in pages we have host permissions for are not storage
+// partitioned, so the bridge iframe and the offscreen document see the same database.
+// The same database holds the persistent cache of extracted/transcoded videos.
+
+(function(root) {
+  'use strict';
+
+  const DB_NAME = 'svp-blobs';
+  const DB_VERSION = 2;
+  const TRANSFERS = 'transfers';
+  const CACHE = 'cache'; // key -> { key, multiple, videos: [{ name, mimeType, blob }] }
+  const CACHE_META = 'cacheMeta'; // key -> { key, url, size, lastUsed } - kept apart so touching it never rewrites blobs
+
+  const DEFAULT_CACHE_BUDGET = 1024 * 1024 * 1024; // 1GB
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TRANSFERS)) {
+          db.createObjectStore(TRANSFERS, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(CACHE)) {
+          db.createObjectStore(CACHE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(CACHE_META)) {
+          db.createObjectStore(CACHE_META, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the extension upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+    return dbPromise;
+  }
+
+  // Run fn(transaction) over the named stores, resolving with the result of the request it returns
+  async function transaction(storeNames, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const request = fn(tx);
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Blob store transaction aborted'));
+    });
+  }
+
+  function withStore(mode, fn) {
+    return transaction(TRANSFERS, mode, tx => fn(tx.objectStore(TRANSFERS)));
+  }
+
+  // Store a blob, returning its ID. created is renewed by touch.
+  async function put(blob, id = crypto.randomUUID()) {
+    await withStore('readwrite', store => store.put({ id, blob, created: Date.now() }));
+    return id;
+  }
+
+  async function get(id) {
+    const record = await withStore('readonly', store => store.get(id));
+    return record ? record.blob : null;
+  }
+
+  function remove(id) {
+    return withStore('readwrite', store => {
+      store.delete(id);
+    });
+  }
+
+  // Read a blob and delete it - transfers are consumed exactly once
+  async function take(id) {
+    const blob = await get(id);
+    if (!blob) {
+      throw new Error('Transfer not found: ' + id);
+    }
+    await remove(id);
+    return blob;
+  }
+
+  // Mark a transfer as still in use (an archive a player reads entries from), so
+  // sweep leaves it alone
+  function touch(id) {
+    return withStore('readwrite', store => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, created: Date.now() });
+        }
+      };
+    });
+  }
+
+  // Delete transfers nobody picked up or touched within maxAge (closed tabs, crashed jobs)
+  function sweep(maxAge) {
+    const cutoff = Date.now() - maxAge;
+    return withStore('readwrite', store => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (cursor.value.created < cutoff) {
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  // Cache key for a source URL. Without an ETag or Content-Length a changed file
+  // cannot be detected, so such sources are not cached (null).
+  function cacheKey(url, etag, contentLength) {
+    if (!url || (!etag && !contentLength)) return null;
+    return [url, etag || '', contentLength || ''].join('|');
+  }
+
+  // Cached videos for a key, or null; marks the entry as recently used
+  async function cacheGet(key) {
+    const record = await transaction(CACHE, 'readonly', tx => tx.objectStore(CACHE).get(key));
+    if (!record) return null;
+
+    await transaction(CACHE_META, 'readwrite', tx => {
+      const metaStore = tx.objectStore(CACHE_META);
+      const request = metaStore.get(key);
+      request.onsuccess = () => {
+        if (request.result) {
+          metaStore.put({ ...request.result, lastUsed: Date.now() });
+        }
+      };
+    });
+    return record;
+  }
+
+  // Cache a job's videos ([{ name, mimeType, blob }]) and evict least recently
+  // used entries over the budget. Returns false if the entry alone is over budget.
+  async function cachePut(key, url, multiple, videos, budget = DEFAULT_CACHE_BUDGET) {
+    const size = videos.reduce((sum, v) => sum + v.blob.size, 0);
+    if (size > budget) return false;
+
+    await transaction([CACHE, CACHE_META], 'readwrite', tx => {
+      tx.objectStore(CACHE).put({ key, multiple, videos });
+      tx.objectStore(CACHE_META).put({ key, url, size, lastUsed: Date.now() });
+    });
+    await cacheEvict(budget);
+    return true;
+  }
+
+  async function cacheEvict(budget) {
+    const entries = await transaction(CACHE_META, 'readonly', tx => tx.objectStore(CACHE_META).getAll());
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= budget) return;
+
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+    const evicted = [];
+    for (const entry of entries) {
+      if (total <= budget) break;
+      evicted.push(entry.key);
+      total -= entry.size;
+    }
+
+    await transaction([CACHE, CACHE_META], 'readwrite', tx => {
+      evicted.forEach(key => {
+        tx.objectStore(CACHE).delete(key);
+        tx.objectStore(CACHE_META).delete(key);
+      });
+    });
+  }
+
+  // Total cached bytes and entry count
+  async function cacheUsage() {
+    const entries = await transaction(CACHE_META, 'readonly', tx => tx.objectStore(CACHE_META).getAll());
+    return {
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+    };
+  }
+
+  function cacheClear() {
+    return transaction([CACHE, CACHE_META], 'readwrite', tx => {
+      tx.objectStore(CACHE).clear();
+      tx.objectStore(CACHE_META).clear();
+    });
+  }
+
+  root.SVPBlobStore = {
+    put,
+    get,
+    take,
+    remove,
+    touch,
+    sweep,
+    cache: {
+      DEFAULT_BUDGET: DEFAULT_CACHE_BUDGET,
+      key: cacheKey,
+      get: cacheGet,
+      put: cachePut,
+      evict: cacheEvict,
+      usage: cacheUsage,
+      clear: cacheClear
+    }
+  };
+})(globalThis);
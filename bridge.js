@@ -0,0 +1,63 @@
+// Bridge iframe - injected hidden into article pages by content.js
+// Runs in the extension origin, so it can hand Blobs from the content script to the
+// shared blob store and return results as Blobs, all without copying through strings.
+
+let bridgePort = null;
+
+async function handleBridgeRequest(message) {
+  if (message.type === 'PUT') {
+    return SVPBlobStore.put(message.blob);
+  }
+  if (message.type === 'TAKE') {
+    return SVPBlobStore.take(message.id);
+  }
+  if (message.type === 'REMOVE') {
+    return SVPBlobStore.remove(message.id);
+  }
+  if (message.type === 'TOUCH') {
+    return SVPBlobStore.touch(message.id);
+  }
+  // Look up cached videos by key, or by { url, etag, contentLength } of the source
+  if (message.type === 'CACHE_GET') {
+    const source = message.source;
+    const key = message.key || (source && SVPBlobStore.cache.key(source.url, source.etag, source.contentLength));
+    return key ? SVPBlobStore.cache.get(key) : null;
+  }
+  if (message.type === 'CACHE_CLEAR') {
+    return SVPBlobStore.cache.clear();
+  }
+  throw new Error('Unknown bridge request: ' + message.type);
+}
+
+// Page scripts share the parent window with the content script, so the parent alone
+// proves nothing: the port must come with a one-time token background gave this tab's
+// content script
+async function tokenAccepted(token) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'REDEEM_BRIDGE_TOKEN', token });
+    return Boolean(response && response.valid);
+  } catch (error) {
+    return false;
+  }
+}
+
+window.addEventListener('message', async (event) => {
+  // Only the embedding page's content script connects, and only once
+  if (bridgePort || event.source !== window.parent) return;
+  if (!event.data || event.data.type !== 'SVP_BRIDGE_CONNECT' || !event.ports[0]) return;
+  if (typeof event.data.token !== 'string') return;
+
+  const port = event.ports[0];
+  if (!(await tokenAccepted(event.data.token)) || bridgePort) {
+    port.close();
+    return;
+  }
+
+  bridgePort = port;
+  bridgePort.onmessage = ({ data }) => {
+    handleBridgeRequest(data)
+      .then(result => bridgePort.postMessage({ requestId: data.requestId, result }))
+      .catch(error => bridgePort.postMessage({ requestId: data.requestId, error: error.message || String(error) }));
+  };
+  bridgePort.postMessage({ type: 'CONNECTED' });
+});
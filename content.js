@@ -10,258 +10,1278 @@
   const NATIVE_FORMATS = ['.mp4', '.webm', '.ogg', '.m4v'];
   // Formats that need transcoding
   const TRANSCODE_FORMATS = ['.avi', '.mkv', '.flv', '.wmv', '.mov'];
+  // Containers Chrome often plays (H.264/VP9 inside), so they are tried natively first
+  const TRY_NATIVE_FORMATS = ['.mov', '.mkv'];
+  const CONTAINER_MIME_TYPES = {
+    '.avi': 'video/x-msvideo',
+    '.mkv': 'video/x-matroska',
+    '.flv': 'video/x-flv',
+    '.wmv': 'video/x-ms-wmv',
+    '.mov': 'video/quicktime'
+  };
+  // Archive formats supplementary movies are bundled in (opened by archive.js offscreen)
+  const ARCHIVE_FORMATS = ['.tar.gz', '.tgz', '.tar', '.zip', '.gz'];
+  const NATIVE_MIME_TYPES = {
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.ogg': 'video/ogg',
+    '.m4v': 'video/mp4'
+  };
+  // Files above this size get a warning before they are converted or downloaded whole:
+  // conversion happens in memory and may not finish within the converter's time limit
+  const LARGE_FILE_SIZE = 500 * 1024 * 1024;
+
+  // Progress callbacks of players with work in progress, by player ID
+  const progressCallbacks = new Map();
+  // Segment callbacks of players playing a progressive transcode, by player ID
+  const segmentCallbacks = new Map();
+  // Preview callbacks of players converting a video, by player ID
+  const previewCallbacks = new Map();
+  // Players waiting for a JOB_FINISHED message, and ones that arrived first, by player ID
+  const jobFinishedWaiters = new Map();
+  const finishedJobs = new Map();
+  // How long to wait for a job whose reply channel closed
+  const JOB_FINISHED_TIMEOUT = 15 * 60 * 1000;
+
+  // Options page settings (see settings.js), kept current by init
+  let settings = { ...SVPSettings.DEFAULTS };
+
+  // Each player gets an ID so background jobs can be matched back to it. The page ID
+  // keeps a reloaded page's players apart from the ones of the page before.
+  const PAGE_ID = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  let playerCounter = 0;
+
+  function nextPlayerId() {
+    playerCounter++;
+    return 'svp-player-' + PAGE_ID + '-' + playerCounter;
+  }
 
-  // Track active transcode status callbacks by video URL
-  const transcodeCallbacks = new Map();
+  // Conversions for a page that is going away only hold up everyone else's
+  window.addEventListener('pagehide', () => {
+    chrome.runtime.sendMessage({ type: 'CANCEL_PAGE_JOBS' }).catch(() => {});
+  });
 
-  // Listen for progress updates from background
+  // Listen for progress updates from background, tagged with the player they belong to
   chrome.runtime.onMessage.addListener((message) => {
     if (message.type === 'TRANSCODE_PROGRESS') {
-      // Update all registered callbacks
-      transcodeCallbacks.forEach((callback) => {
-        callback(`${message.status} ${message.progress}%`);
-      });
+      const callback = progressCallbacks.get(message.playerId);
+      if (callback) {
+        callback(message.progress);
+      }
+    }
+
+    if (message.type === 'TRANSCODE_SEGMENT') {
+      const callback = segmentCallbacks.get(message.playerId);
+      if (callback) {
+        callback(message.segment);
+      } else {
+        // Player is gone or cancelled - drop the segment
+        bridgeRequest({ type: 'REMOVE', id: message.segment.blobId }).catch(() => {});
+      }
+    }
+
+    if (message.type === 'TRANSCODE_PREVIEW') {
+      const callback = previewCallbacks.get(message.playerId);
+      if (callback) {
+        callback(message.preview);
+      } else {
+        bridgeRequest({ type: 'REMOVE', id: message.preview.blobId }).catch(() => {});
+      }
+    }
+
+    // Outcome of a job that outlived a service worker restart (see requestJob)
+    if (message.type === 'JOB_FINISHED') {
+      const waiter = jobFinishedWaiters.get(message.playerId);
+      if (waiter) {
+        waiter(message.response);
+      } else {
+        finishedJobs.set(message.playerId, message.response);
+      }
     }
   });
 
-  // Check if a link is a video link
+  // Send a job request to background and resolve its response. When the service
+  // worker is restarted while the job runs, the reply channel closes and background
+  // sends the outcome as a JOB_FINISHED message for the player instead.
+  async function requestJob(message) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (response) return response;
+    } catch (error) {
+      if (!/message (channel|port) closed/i.test(error.message)) throw error;
+    }
+
+    const early = finishedJobs.get(message.playerId);
+    if (early) {
+      finishedJobs.delete(message.playerId);
+      return early;
+    }
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        jobFinishedWaiters.delete(message.playerId);
+        resolve({ error: 'Lost contact with the converter' });
+      }, JOB_FINISHED_TIMEOUT);
+      jobFinishedWaiters.set(message.playerId, (response) => {
+        clearTimeout(timer);
+        jobFinishedWaiters.delete(message.playerId);
+        resolve(response);
+      });
+    });
+  }
+
+  // Archive extension of a file name ('.zip', '.tar.gz', ...), or null
+  function archiveFormat(name) {
+    const lowerName = name.toLowerCase();
+    return ARCHIVE_FORMATS.find(ext => lowerName.endsWith(ext)) || null;
+  }
+
+  // Archive extension of a link's path, or null
+  function archiveExtension(href) {
+    if (!href) return null;
+    try {
+      return archiveFormat(new URL(href, window.location.href).pathname);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // File name at the end of a URL's path
+  function urlFileName(href) {
+    try {
+      return decodeURIComponent(new URL(href).pathname.split('/').pop());
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // Extension of the last segment of a link's path ('.mov'), '' if it has none
+  function pathExtension(href) {
+    let fileName;
+    try {
+      fileName = new URL(href, window.location.href).pathname.split('/').pop().toLowerCase();
+    } catch (e) {
+      return '';
+    }
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0 ? fileName.slice(dot) : '';
+  }
+
+  // Check if a link is a video link by the extension of its path
+  // (".../movie_s1.zip" is not a .mov, and movie.avi.gz is an archive)
   function isVideoLink(href) {
-    if (!href) return false;
-    const videoExtensions = [...NATIVE_FORMATS, ...TRANSCODE_FORMATS];
-    const lowerHref = href.toLowerCase();
-    return videoExtensions.some(ext => lowerHref.includes(ext));
+    if (!href || archiveExtension(href)) return false;
+    return [...NATIVE_FORMATS, ...TRANSCODE_FORMATS].includes(pathExtension(href));
   }
 
-  // Check if a link is a zipped video (common on Science.org)
-  function isZippedVideo(href, description) {
-    if (!href) return false;
+  // Check if a link or its description mentions movies or videos
+  function mentionsVideo(href, description) {
     const lowerHref = href.toLowerCase();
     const lowerDesc = (description || '').toLowerCase();
-    // Check if it's a zip file with movie/video in the name or description
-    return lowerHref.includes('.zip') &&
-           (lowerHref.includes('movie') || lowerHref.includes('video') ||
-            lowerDesc.includes('movie') || lowerDesc.includes('video'));
+    return lowerHref.includes('movie') || lowerHref.includes('video') ||
+           lowerDesc.includes('movie') || lowerDesc.includes('video');
   }
 
-  // Check if format needs transcoding
-  function needsTranscoding(href) {
+  // Check if a link is an archive of videos (ZIPs are common on Science.org; tar,
+  // tar.gz and gzip bundles also occur)
+  function isArchivedVideo(href, description) {
     if (!href) return false;
-    const lowerHref = href.toLowerCase();
-    return TRANSCODE_FORMATS.some(ext => lowerHref.includes(ext));
+    // Check if it's an archive with movie/video in the name or description
+    return archiveExtension(href) !== null && mentionsVideo(href, description);
   }
 
-  // Helper to convert base64 to blob URL
-  function base64ToBlobUrl(base64, mimeType) {
-    const binaryString = atob(base64);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
+  // Read at most length bytes from the start of a response body
+  async function readPrefix(response, length) {
+    const reader = response.body.getReader();
+    const bytes = new Uint8Array(length);
+    let filled = 0;
+    while (filled < length) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const part = value.subarray(0, length - filled);
+      bytes.set(part, filled);
+      filled += part.length;
     }
-    const blob = new Blob([bytes], { type: mimeType });
+    reader.cancel().catch(() => {});
+    return bytes.subarray(0, filled);
+  }
+
+  // Work out what a link without a file extension serves: the Content-Type of a HEAD
+  // request, else the first bytes of the file. Resolves { kind: 'video' | 'archive', format }
+  // or null for web pages and anything else.
+  async function classifyLink(href) {
+    try {
+      const head = await fetch(href, { method: 'HEAD', credentials: 'include' });
+      if (head.ok) {
+        const sniffed = SVPSniff.sniffContentType(head.headers.get('content-type'));
+        if (sniffed) return sniffed.kind === 'html' ? null : sniffed;
+      }
+
+      const response = await fetch(href, {
+        credentials: 'include',
+        headers: { Range: `bytes=0-${SVPSniff.SNIFF_LENGTH - 1}` }
+      });
+      if (!response.ok) return null;
+      // Servers ignoring Range send the whole file; only the start is read
+      const sniffed = SVPSniff.sniffBytes(await readPrefix(response, SVPSniff.SNIFF_LENGTH));
+      return sniffed && sniffed.kind !== 'html' ? sniffed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Check if a ZIP entry is a folder, macOS metadata or a hidden file
+  function isJunkEntry(name) {
+    const lowerName = name.toLowerCase();
+    return lowerName.endsWith('/') || lowerName.startsWith('__macosx') || lowerName.split('/').pop().startsWith('.');
+  }
+
+  // Check if a ZIP entry name is a playable video
+  function isVideoEntry(name) {
+    if (isJunkEntry(name)) return false;
+    const lowerName = name.toLowerCase();
+    return [...NATIVE_FORMATS, ...TRANSCODE_FORMATS].some(ext => lowerName.endsWith(ext));
+  }
+
+  // Archive files shown inline in the file browser
+  const TEXT_FILE_EXTENSIONS = ['.txt', '.md', '.markdown', '.csv', '.tsv', '.json', '.srt', '.vtt', '.log', '.xml', '.yml', '.yaml'];
+  const IMAGE_FILE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.bmp'];
+  const MAX_TEXT_PREVIEW = 200 * 1024;
+  const MAX_CAPTION_SIZE = 64 * 1024;
+
+  // How an archive file can be previewed: 'text', 'image' or null (download only)
+  function filePreviewKind(name) {
+    const baseName = name.split('/').pop().toLowerCase();
+    if (TEXT_FILE_EXTENSIONS.some(ext => baseName.endsWith(ext)) || /^readme(\.|$)/.test(baseName)) return 'text';
+    if (IMAGE_FILE_EXTENSIONS.some(ext => baseName.endsWith(ext))) return 'image';
+    return null;
+  }
+
+  // Name stem used to pair captions with movies: "Movie S1.avi" and
+  // "movie_s1_caption.txt" both give "movies1"
+  function captionStem(name) {
+    return name.split('/').pop().replace(/\.[^.]+$/, '').toLowerCase()
+      .replace(/caption|legend|description/g, '')
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  // Small text file whose name matches a movie, preferring one in the same folder
+  function findCaptionFile(videoName, files) {
+    const stem = captionStem(videoName);
+    if (!stem) return null;
+    const folder = videoName.slice(0, videoName.lastIndexOf('/') + 1);
+    const candidates = files.filter(file => {
+      const lowerName = file.name.toLowerCase();
+      return (lowerName.endsWith('.txt') || lowerName.endsWith('.md')) &&
+        file.size <= MAX_CAPTION_SIZE && captionStem(file.name) === stem;
+    });
+    return candidates.find(file => file.name.startsWith(folder)) || candidates[0] || null;
+  }
+
+  // Folder tree of archive paths: { folders: Map of name -> node, files: [] }
+  function buildFileTree(files) {
+    const root = { folders: new Map(), files: [] };
+    files.forEach(file => {
+      const parts = file.name.split('/');
+      let node = root;
+      parts.slice(0, -1).forEach(part => {
+        if (!node.folders.has(part)) {
+          node.folders.set(part, { folders: new Map(), files: [] });
+        }
+        node = node.folders.get(part);
+      });
+      node.files.push(file);
+    });
+    return root;
+  }
+
+  // Save a blob as a file through a temporary link
+  function saveBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  }
+
+  // First playback attempt for a video URL when nothing is remembered for it:
+  // 'native' unless the container is one the browser cannot play
+  // format is the sniffed extension for links without one
+  function guessPlaybackMode(href, format) {
+    const ext = format || pathExtension(href);
+    if (!TRANSCODE_FORMATS.includes(ext) || TRY_NATIVE_FORMATS.includes(ext)) return 'native';
+    return document.createElement('video').canPlayType(CONTAINER_MIME_TYPES[ext]) ? 'native' : 'transcode';
+  }
+
+  // Native-or-transcode outcome per video URL, so a file that failed natively goes
+  // straight to conversion next time (and one that played stays native). Outcomes
+  // expire, as files get replaced and browsers learn new codecs.
+  const PLAYBACK_OUTCOMES_KEY = 'playbackOutcomes';
+  const PLAYBACK_OUTCOME_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+  async function getPlaybackOutcome(url) {
+    try {
+      const stored = await chrome.storage.local.get(PLAYBACK_OUTCOMES_KEY);
+      const outcome = (stored[PLAYBACK_OUTCOMES_KEY] || {})[url];
+      return outcome && Date.now() - outcome.time < PLAYBACK_OUTCOME_MAX_AGE ? outcome.mode : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Background writes the outcomes one at a time for all tabs. Losing one only means
+  // the next visit tries native playback first again.
+  function rememberPlaybackOutcome(url, mode) {
+    chrome.runtime.sendMessage({ type: 'REMEMBER_PLAYBACK_OUTCOME', url, mode }).catch(() => {});
+  }
+
+  // Whether a URL the browser refused to play serves a video file, rather than a login
+  // page or an error: its first bytes have to look like one
+  async function servesVideo(url) {
+    try {
+      const response = await fetch(url, {
+        credentials: 'include',
+        headers: { Range: `bytes=0-${SVPSniff.SNIFF_LENGTH - 1}` }
+      });
+      if (!response.ok) return false;
+      const sniffed = SVPSniff.sniffBytes(await readPrefix(response, SVPSniff.SNIFF_LENGTH));
+      return Boolean(sniffed && sniffed.kind === 'video');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Binary bridge to the extension's blob store (see bridge.js)
+  // Blobs go through a MessagePort to an extension-origin iframe instead of base64 messages.
+  // The bridge only serves a port that came with a one-time token from background, so
+  // page scripts framing bridge.html themselves get nothing.
+  const BRIDGE_CONNECT_TIMEOUT = 10000;
+  // A blob store request that takes longer means the bridge is gone
+  const BRIDGE_REQUEST_TIMEOUT = 60 * 1000;
+
+  let bridgePromise = null;
+  let bridgeFrame = null;
+  let bridgeRequestId = 0;
+  const bridgeRequests = new Map();
+
+  // Drop the bridge so the next request sets up a new one
+  function resetBridge() {
+    bridgePromise = null;
+    if (bridgeFrame) {
+      bridgeFrame.remove();
+      bridgeFrame = null;
+    }
+  }
+
+  function getBridge() {
+    if (bridgePromise) return bridgePromise;
+
+    bridgePromise = new Promise((resolve, reject) => {
+      const iframe = document.createElement('iframe');
+      iframe.className = 'svp-bridge-frame';
+      iframe.src = chrome.runtime.getURL('bridge.html');
+      bridgeFrame = iframe;
+
+      const timeout = setTimeout(() => {
+        if (bridgeFrame === iframe) resetBridge();
+        reject(new Error('Extension bridge did not load'));
+      }, BRIDGE_CONNECT_TIMEOUT);
+
+      const tokenRequest = chrome.runtime.sendMessage({ type: 'BRIDGE_TOKEN' });
+      tokenRequest.catch(() => {});
+
+      iframe.addEventListener('load', async () => {
+        let token;
+        try {
+          ({ token } = await tokenRequest);
+        } catch (error) {
+          clearTimeout(timeout);
+          if (bridgeFrame === iframe) resetBridge();
+          reject(error);
+          return;
+        }
+
+        const channel = new MessageChannel();
+        channel.port1.onmessage = ({ data }) => {
+          // The bridge accepted the token
+          if (data.type === 'CONNECTED') {
+            clearTimeout(timeout);
+            resolve(channel.port1);
+            return;
+          }
+          const pending = bridgeRequests.get(data.requestId);
+          if (!pending) return;
+          bridgeRequests.delete(data.requestId);
+          if (data.error) {
+            pending.reject(new Error(data.error));
+          } else {
+            pending.resolve(data.result);
+          }
+        };
+        const extensionOrigin = chrome.runtime.getURL('').slice(0, -1);
+        iframe.contentWindow.postMessage({ type: 'SVP_BRIDGE_CONNECT', token }, extensionOrigin, [channel.port2]);
+      }, { once: true });
+
+      document.documentElement.appendChild(iframe);
+    });
+    return bridgePromise;
+  }
+
+  async function bridgeRequest(message) {
+    const bridge = getBridge();
+    const bridgePort = await bridge;
+    const requestId = ++bridgeRequestId;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        bridgeRequests.delete(requestId);
+        if (bridgePromise === bridge) resetBridge();
+        reject(new Error('Extension bridge did not respond'));
+      }, BRIDGE_REQUEST_TIMEOUT);
+      bridgeRequests.set(requestId, {
+        resolve: (result) => { clearTimeout(timer); resolve(result); },
+        reject: (error) => { clearTimeout(timer); reject(error); }
+      });
+      bridgePort.postMessage({ ...message, requestId });
+    });
+  }
+
+  // Hand a Blob to the extension, returning its transfer ID
+  function putBlob(blob) {
+    return bridgeRequest({ type: 'PUT', blob });
+  }
+
+  // Collect a result Blob from the extension as a blob URL
+  async function takeBlobUrl(id) {
+    const blob = await bridgeRequest({ type: 'TAKE', id });
     return URL.createObjectURL(blob);
   }
 
-  // Extract video from ZIP via background/offscreen document
-  // Returns either a single blob URL (string) or an array of { name, url } objects
-  async function extractZipVideo(zipUrl, statusCallback) {
-    transcodeCallbacks.set(zipUrl, statusCallback);
-    statusCallback('Downloading ZIP...');
+  // FFmpeg-probed metadata of converted videos, by blob URL, for the info panel
+  const videoMetadata = new Map();
+
+  function rememberMetadata(url, metadata) {
+    if (metadata) videoMetadata.set(url, metadata);
+    return url;
+  }
+
+  // Free a loaded video's blob URL and its metadata; plain URLs are left alone
+  function revokeVideoUrl(url) {
+    if (!url || !url.startsWith('blob:')) return;
+    URL.revokeObjectURL(url);
+    videoMetadata.delete(url);
+  }
+
+  // Blob URLs for a persistent cache record, shaped like resultToBlobUrls
+  function cachedToBlobUrls(record) {
+    if (record.multiple) {
+      return record.videos.map(v => ({ name: v.name, url: rememberMetadata(URL.createObjectURL(v.blob), v.metadata) }));
+    }
+    return rememberMetadata(URL.createObjectURL(record.videos[0].blob), record.videos[0].metadata);
+  }
+
+  // Look up the persistent cache by { key } or { source: { url, etag, contentLength } }
+  async function loadCached(lookup) {
+    const record = await bridgeRequest({ type: 'CACHE_GET', ...lookup });
+    return record ? cachedToBlobUrls(record) : null;
+  }
+
+  // Turn an offscreen result into either a single blob URL (string)
+  // or an array of { name, url } objects for multiple videos
+  async function resultToBlobUrls(result) {
+    if (result.cacheKey) {
+      const cached = await loadCached({ key: result.cacheKey });
+      if (!cached) {
+        throw new Error('Cached video disappeared, please try again');
+      }
+      return cached;
+    }
+    if (result.multiple && result.videos) {
+      const videos = [];
+      for (const v of result.videos) {
+        videos.push({ name: v.name, url: rememberMetadata(await takeBlobUrl(v.blobId), v.metadata) });
+      }
+      return videos;
+    }
+    return rememberMetadata(await takeBlobUrl(result.blobId), result.metadata);
+  }
 
+  // Delete result blobs nobody will play (the user cancelled meanwhile)
+  function discardResult(result) {
+    if (result.cacheKey) return; // Cached results stay for next time
+    const ids = result.multiple && result.videos ? result.videos.map(v => v.blobId) : [result.blobId];
+    ids.forEach(id => {
+      bridgeRequest({ type: 'REMOVE', id }).catch(() => {});
+    });
+  }
+
+  // FFmpeg's description of a natively played video ({ fps, videoCodec, ... } as in
+  // createMetadataPanel), read from the start of the file; null when unavailable
+  async function probeVideo(videoUrl, playerId) {
     try {
-      // Download the ZIP in content script (has access to page cookies)
-      const fetchResponse = await fetch(zipUrl, { credentials: 'include' });
-      if (!fetchResponse.ok) {
-        throw new Error(`Download failed: ${fetchResponse.status}`);
+      const response = await requestJob({ type: 'PROBE_VIDEO', videoUrl, playerId: playerId + '-probe' });
+      return response.error ? null : response.metadata;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Stop a player's download and its background job
+  function cancelPlayerWork(playerId, controller) {
+    controller.abort();
+    chrome.runtime.sendMessage({ type: 'CANCEL_JOB', playerId }).catch(() => {});
+  }
+
+  // Finish a background job response: throw on error or cancellation, else collect the result
+  async function receiveJobResult(response, signal) {
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    if (signal.aborted) {
+      discardResult(response);
+      throw new Error('Cancelled');
+    }
+    return resultToBlobUrls(response);
+  }
+
+  // Cache validators ({ url, etag, contentLength }) of a URL without downloading it,
+  // or null when the server does not answer HEAD requests
+  // Throws right away when the server answers with a login or paywall page
+  async function fetchCacheSource(url, signal) {
+    let response;
+    try {
+      response = await fetch(url, { method: 'HEAD', credentials: 'include', signal });
+    } catch (error) {
+      if (signal.aborted) throw error;
+      return null;
+    }
+    SVPSniff.checkResponse(response);
+    if (!response.ok) return null;
+    return cacheSourceFromHeaders(url, response.headers);
+  }
+
+  // Size of a file in bytes from a HEAD request, or null when the server does not say.
+  // Asked once per URL (placeholder cards and their players share the answer).
+  const fileSizes = new Map(); // url -> Promise of size
+
+  function fetchFileSize(url) {
+    if (!fileSizes.has(url)) {
+      fileSizes.set(url, fetchCacheSource(url, new AbortController().signal)
+        .then(source => (source ? parseInt(source.contentLength, 10) || null : null))
+        .catch(() => null));
+    }
+    return fileSizes.get(url);
+  }
+
+  function cacheSourceFromHeaders(url, headers) {
+    return { url, etag: headers.get('etag'), contentLength: headers.get('content-length') };
+  }
+
+  // Download a URL into a Blob, reporting byte progress
+  // Returns { blob, headers }
+  async function downloadBlob(url, report, signal) {
+    const response = await fetch(url, { credentials: 'include', signal });
+    SVPSniff.checkResponse(response);
+    if (!response.ok) {
+      throw new Error(`Download failed: ${response.status}`);
+    }
+
+    const total = parseInt(response.headers.get('content-length'), 10) || 0;
+    let loaded = 0;
+    const reader = response.body.getReader();
+    const chunks = [];
+
+    report('download', { loaded, total });
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      // Pages served as application/octet-stream still start like HTML
+      if (loaded === 0 && SVPSniff.looksLikeHtml(value)) {
+        reader.cancel().catch(() => {});
+        throw SVPSniff.accessDeniedError();
+      }
+      chunks.push(value);
+      loaded += value.length;
+      report('download', { loaded, total });
+    }
+
+    return {
+      blob: new Blob(chunks, { type: response.headers.get('content-type') || '' }),
+      headers: response.headers
+    };
+  }
+
+  // Extension of a ZIP entry, without the dot
+  function entryFormat(name) {
+    return name.split('.').pop().toLowerCase();
+  }
+
+  // Cache identity of one ZIP entry, under the archive's validators. Entries that
+  // get converted are cached per quality profile.
+  function entryCacheSource(zipUrl, archiveSource, entryName, profileId) {
+    const converted = !NATIVE_FORMATS.includes('.' + entryFormat(entryName));
+    const url = SVPProfiles.cacheUrl(zipUrl + '#' + entryName, converted ? profileId : null);
+    return archiveSource && { ...archiveSource, url };
+  }
+
+  // Read a ZIP's entry list with range requests, or null when the server only
+  // serves whole files or the ZIP holds further archives (those need the offscreen
+  // archive layer). Resolves an archive like extractZipVideo.
+  async function openRemoteZip(zipUrl, format, headSource, signal) {
+    if (format !== '.zip') return null;
+
+    const knownSize = headSource ? parseInt(headSource.contentLength, 10) || 0 : 0;
+    let reader;
+    try {
+      reader = await SVPZipReader.open(zipUrl, signal, knownSize);
+    } catch (error) {
+      // Otherwise the whole archive is downloaded instead
+      if (signal.aborted) throw error;
+      return null;
+    }
+    if (!reader) return null;
+    if (reader.entries.some(entry => !entry.dir && archiveFormat(entry.name))) return null;
+
+    const entries = reader.entries
+      .filter(entry => isVideoEntry(entry.name))
+      .map(entry => ({ ...entry, format: entryFormat(entry.name) }));
+    const files = reader.entries.filter(entry => !isJunkEntry(entry.name) && !isVideoEntry(entry.name));
+    if (entries.length === 0 && files.length === 0) {
+      throw new Error('ZIP is empty');
+    }
+    // Sort by filename for consistent ordering
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    files.sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+      entries,
+      files,
+      load: (entry, profileId, playerId, onProgress, loadSignal) =>
+        loadRemoteZipEntry(zipUrl, headSource, reader, entry, profileId, playerId, onProgress, loadSignal),
+      readFile: (file, filePlayerId, readSignal) => reader.read(file, null, readSignal),
+      release() {}
+    };
+  }
+
+  // Fetch and inflate one entry of a remote ZIP, transcoding it in the background
+  // when the browser cannot play it. Resolves a blob URL.
+  async function loadRemoteZipEntry(zipUrl, headSource, reader, entry, profileId, playerId, onProgress, signal) {
+    progressCallbacks.set(playerId, onProgress);
+    const report = SVPProgress.createTracker(onProgress);
+    const fileName = entry.name.split('/').pop();
+    const cacheSource = entryCacheSource(zipUrl, headSource, entry.name, profileId);
+
+    try {
+      if (cacheSource) {
+        const cached = await loadCached({ source: cacheSource });
+        if (cached) return cached;
+      }
+
+      let loaded = 0;
+      report('download', { loaded, total: entry.compressedSize, detail: fileName });
+      const blob = await reader.read(entry, (bytes) => {
+        loaded += bytes;
+        report('download', { loaded, total: entry.compressedSize, detail: fileName });
+      }, signal);
+
+      const ext = '.' + fileName.split('.').pop().toLowerCase();
+      if (NATIVE_FORMATS.includes(ext)) {
+        return URL.createObjectURL(new Blob([blob], { type: NATIVE_MIME_TYPES[ext] }));
       }
 
-      const arrayBuffer = await fetchResponse.arrayBuffer();
+      report('transfer', { total: blob.size });
+      const transferId = await putBlob(blob);
+      if (signal.aborted) {
+        bridgeRequest({ type: 'REMOVE', id: transferId }).catch(() => {});
+        throw new Error('Cancelled');
+      }
 
-      // Convert to base64 and send in chunks (max ~32MB per message to stay under 64MB limit)
-      statusCallback('Processing ZIP...');
-      const uint8Array = new Uint8Array(arrayBuffer);
-      let binary = '';
-      const convChunkSize = 8192;
-      for (let i = 0; i < uint8Array.length; i += convChunkSize) {
-        const chunk = uint8Array.subarray(i, i + convChunkSize);
-        binary += String.fromCharCode.apply(null, chunk);
+      const response = await requestJob({
+        type: 'TRANSCODE_DATA',
+        transferId: transferId,
+        fileName: fileName,
+        cacheSource: cacheSource,
+        profile: profileId,
+        playerId: playerId
+      });
+      return await receiveJobResult(response, signal);
+    } finally {
+      progressCallbacks.delete(playerId);
+    }
+  }
+
+  // How often a page marks the archives its players hold as in use; well within the
+  // hour after which offscreen.js sweeps untouched transfers
+  const ARCHIVE_KEEP_INTERVAL = 10 * 60 * 1000;
+
+  // Open a ZIP (or tar/gzip bundle) for playing its videos one at a time. Resolves
+  // { entries, files, load(entry, profileId, playerId, onProgress, signal), readFile(file, playerId, signal), release() }
+  // with the videos as entries ([{ name, size, format }]) and other files as files ([{ name, size }]).
+  // load resolves a playable blob URL, converted with the quality profile if needed, readFile a file's Blob as stored, and release frees
+  // the archive once no more entries are needed.
+  // Uses range requests for plain ZIPs when possible, otherwise downloads the archive
+  // for the offscreen document.
+  // format is the archive extension ('.zip', '.tar.gz', ...), sniffed for links without one
+  async function extractZipVideo(zipUrl, format, playerId, onProgress, signal) {
+    progressCallbacks.set(playerId, onProgress);
+    const report = SVPProgress.createTracker(onProgress);
+
+    try {
+      const headSource = await fetchCacheSource(zipUrl, signal);
+
+      // Fetch only the central directory when the server supports range requests
+      report('download', { detail: 'file list' });
+      const remote = await openRemoteZip(zipUrl, format, headSource, signal);
+      if (remote) return remote;
+
+      // Download the archive in content script (has access to page cookies)
+      const { blob: zipBlob, headers } = await downloadBlob(zipUrl, report, signal);
+      const archiveSource = headSource || cacheSourceFromHeaders(zipUrl, headers);
+      const archiveName = urlFileName(zipUrl);
+
+      report('transfer', { total: zipBlob.size });
+      const transferId = await putBlob(zipBlob);
+      // Keep the offscreen document's startup sweep away from the archive while the
+      // player may still read entries from it
+      const keepTimer = setInterval(() => {
+        bridgeRequest({ type: 'TOUCH', id: transferId }).catch(() => {});
+      }, ARCHIVE_KEEP_INTERVAL);
+      const removeArchive = () => {
+        clearInterval(keepTimer);
+        bridgeRequest({ type: 'REMOVE', id: transferId }).catch(() => {});
+      };
+      if (signal.aborted) {
+        removeArchive();
+        throw new Error('Cancelled');
       }
-      const zipBase64 = btoa(binary);
 
-      // Send in chunks if too large (32MB chunks to stay well under 64MB limit)
-      const MAX_CHUNK_SIZE = 32 * 1024 * 1024; // 32MB
-      const transferId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+      // Only the entry list comes back; entries are extracted when selected
+      report('extract');
+      const response = await requestJob({
+        type: 'EXTRACT_ZIP_DATA',
+        transferId: transferId,
+        archiveName: archiveName,
+        playerId: playerId
+      });
+      if (response.error || signal.aborted) {
+        removeArchive();
+        throw new Error(response.error || 'Cancelled');
+      }
 
-      if (zipBase64.length > MAX_CHUNK_SIZE) {
-        const totalChunks = Math.ceil(zipBase64.length / MAX_CHUNK_SIZE);
+      return {
+        entries: response.entries,
+        files: response.files,
+        load: (entry, profileId, entryPlayerId, entryProgress, loadSignal) =>
+          loadArchiveEntry(zipUrl, archiveSource, response.archiveId, archiveName, entry, profileId,
+            entryPlayerId, entryProgress, loadSignal),
+        readFile: (file, filePlayerId, readSignal) =>
+          readArchiveFile(response.archiveId, archiveName, file, filePlayerId, readSignal),
+        release: removeArchive
+      };
+    } finally {
+      progressCallbacks.delete(playerId);
+    }
+  }
 
-        for (let i = 0; i < totalChunks; i++) {
-          const start = i * MAX_CHUNK_SIZE;
-          const end = Math.min(start + MAX_CHUNK_SIZE, zipBase64.length);
-          const chunk = zipBase64.substring(start, end);
+  // Extract one entry of an archive held in the blob store, via background/offscreen document
+  async function loadArchiveEntry(zipUrl, archiveSource, archiveId, archiveName, entry, profileId, playerId, onProgress, signal) {
+    progressCallbacks.set(playerId, onProgress);
+    const cacheSource = entryCacheSource(zipUrl, archiveSource, entry.name, profileId);
 
-          statusCallback(`Transferring... ${Math.round((i + 1) / totalChunks * 100)}%`);
+    try {
+      if (cacheSource) {
+        const cached = await loadCached({ source: cacheSource });
+        if (cached) return cached;
+      }
 
-          const chunkResponse = await chrome.runtime.sendMessage({
-            type: 'EXTRACT_ZIP_CHUNK',
-            transferId: transferId,
-            chunkIndex: i,
-            totalChunks: totalChunks,
-            chunk: chunk
-          });
+      const response = await requestJob({
+        type: 'EXTRACT_ZIP_ENTRY',
+        archiveId: archiveId,
+        archiveName: archiveName,
+        entryName: entry.name,
+        cacheSource: cacheSource,
+        profile: profileId,
+        playerId: playerId
+      });
+      return await receiveJobResult(response, signal);
+    } finally {
+      progressCallbacks.delete(playerId);
+    }
+  }
+
+  // Read any file of an archive held in the blob store as stored, resolving a Blob
+  async function readArchiveFile(archiveId, archiveName, file, playerId, signal) {
+    const response = await requestJob({
+      type: 'EXTRACT_ZIP_ENTRY',
+      archiveId: archiveId,
+      archiveName: archiveName,
+      entryName: file.name,
+      raw: true,
+      playerId: playerId
+    });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    if (signal.aborted) {
+      discardResult(response);
+      throw new Error('Cancelled');
+    }
+    return bridgeRequest({ type: 'TAKE', id: response.blobId });
+  }
+
+  // Transcode video via background/offscreen document with a quality profile (see profiles.js)
+  // With onSegment, long conversions also deliver playable segments while running, and
+  // with onPreview a short low-resolution preview ({ blobId, duration }) before those
+  async function transcodeVideo(videoUrl, profileId, playerId, onProgress, signal, onSegment = null, onPreview = null) {
+    progressCallbacks.set(playerId, onProgress);
+    if (onSegment) {
+      segmentCallbacks.set(playerId, onSegment);
+    }
+    if (onPreview) {
+      previewCallbacks.set(playerId, onPreview);
+    }
+
+    try {
+      const response = await requestJob({
+        type: 'TRANSCODE_VIDEO',
+        videoUrl: videoUrl,
+        profile: profileId,
+        progressive: !!onSegment,
+        preview: !!onPreview,
+        playerId: playerId
+      });
+
+      return await receiveJobResult(response, signal);
+    } finally {
+      progressCallbacks.delete(playerId);
+      segmentCallbacks.delete(playerId);
+      previewCallbacks.delete(playerId);
+    }
+  }
+
+  // Whether progressive transcode segments can be played here at all. Conversions
+  // announce High profile at level 4.0 up to 1080p30 and 5.1 above, whichever encoder
+  // made them, so each conversion's segments are checked against their codecs too.
+  function supportsProgressivePlayback() {
+    return typeof MediaSource !== 'undefined' &&
+      MediaSource.isTypeSupported('video/mp4; codecs="avc1.640028, mp4a.40.2"');
+  }
+
+  // Plays fragmented MP4 segments from a progressive transcode through a MediaSource,
+  // so playback starts while the rest of the video is still converting
+  function createSegmentPlayer(video) {
+    const mediaSource = new MediaSource();
+    const url = URL.createObjectURL(mediaSource);
+    const opened = new Promise(resolve => {
+      mediaSource.addEventListener('sourceopen', resolve, { once: true });
+    });
+    let sourceBuffer = null;
+    let chain = Promise.resolve();
+    // Once a segment fails, the ones after it are dropped from the blob store unplayed
+    let failed = false;
+
+    function dropSegment(segment) {
+      bridgeRequest({ type: 'REMOVE', id: segment.blobId }).catch(() => {});
+    }
+
+    video.src = url;
+
+    function appendBuffer(data) {
+      return new Promise((resolve, reject) => {
+        sourceBuffer.addEventListener('updateend', resolve, { once: true });
+        sourceBuffer.addEventListener('error', () => reject(new Error('Could not append video segment')), { once: true });
+        sourceBuffer.appendBuffer(data);
+      });
+    }
 
-          if (chunkResponse.error) {
-            throw new Error(chunkResponse.error);
+    async function appendSegment(segment) {
+      const blob = await bridgeRequest({ type: 'TAKE', id: segment.blobId });
+      await opened;
+      if (mediaSource.readyState !== 'open') return;
+      if (!sourceBuffer) {
+        mediaSource.duration = segment.duration;
+        sourceBuffer = mediaSource.addSourceBuffer(segment.mimeType);
+      }
+      // Each segment starts at 0; shift it to its place in the video
+      sourceBuffer.timestampOffset = segment.start;
+      await appendBuffer(await blob.arrayBuffer());
+      if (segment.index === segment.count - 1 && mediaSource.readyState === 'open') {
+        mediaSource.endOfStream();
+      }
+    }
+
+    return {
+      // Segments arrive in order; append them one at a time. Only the first failure
+      // rejects.
+      push(segment) {
+        const appended = chain.then(() => {
+          if (failed) {
+            dropSegment(segment);
+            return;
           }
-        }
+          return appendSegment(segment).catch((error) => {
+            failed = true;
+            dropSegment(segment);
+            throw error;
+          });
+        });
+        chain = appended.catch(() => {});
+        return appended;
+      },
+      destroy() {
+        URL.revokeObjectURL(url);
+      }
+    };
+  }
+
+  // Restore a video's position, speed and play state once its next source loads
+  function keepPlaybackState(video) {
+    const currentTime = video.currentTime;
+    const playbackRate = video.playbackRate;
+    const wasPlaying = !video.paused;
+
+    video.addEventListener('loadedmetadata', () => {
+      video.currentTime = currentTime;
+      video.playbackRate = playbackRate;
+      if (wasPlaying) {
+        video.play().catch(() => {});
+      }
+    }, { once: true });
+  }
+
+  // Switch a video to another source, keeping its position, speed and play state
+  function swapVideoSource(video, url) {
+    keepPlaybackState(video);
+    video.src = url;
+  }
+
+  // Status area: progress text plus a Cancel button for long-running work
+  function createStatusArea() {
+    const status = document.createElement('div');
+    status.className = 'svp-video-status';
+    status.style.display = 'none';
+
+    const text = document.createElement('div');
+    text.className = 'svp-status-text';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'svp-cancel-btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.style.display = 'none';
+
+    status.appendChild(text);
+    status.appendChild(cancelBtn);
+
+    return {
+      element: status,
+      cancelBtn,
+      show(message, cancellable) {
+        status.className = 'svp-video-status';
+        status.style.display = 'block';
+        text.textContent = message;
+        cancelBtn.style.display = cancellable ? '' : 'none';
+      },
+      // Slim status bar shown above a video that is already playing
+      showCompact(message) {
+        status.className = 'svp-video-status compact';
+        status.style.display = 'block';
+        text.textContent = message;
+      },
+      update(message) {
+        text.textContent = message;
+      },
+      error(message) {
+        status.className = 'svp-video-status error';
+        text.textContent = message;
+        cancelBtn.style.display = 'none';
+      },
+      hide() {
+        status.style.display = 'none';
+        cancelBtn.style.display = 'none';
+      }
+    };
+  }
+
+  // Button that empties the persistent cache of converted/extracted videos
+  function createClearCacheButton() {
+    const clearCacheBtn = document.createElement('button');
+    clearCacheBtn.className = 'svp-clear-cache-btn';
+    clearCacheBtn.textContent = 'Clear cache';
+    clearCacheBtn.title = 'Delete all converted and extracted videos kept for faster reloads';
+    clearCacheBtn.addEventListener('click', async () => {
+      clearCacheBtn.disabled = true;
+      try {
+        await bridgeRequest({ type: 'CACHE_CLEAR' });
+        clearCacheBtn.textContent = 'Cache cleared';
+      } catch (error) {
+        clearCacheBtn.textContent = 'Clear cache failed';
+        clearCacheBtn.disabled = false;
+      }
+    });
+    return clearCacheBtn;
+  }
+
+  // "Quality" menu of conversion profiles, starting at the transcodeProfile setting. A
+  // choice only applies to its own player. onChange(profileId) runs on user changes.
+  function createProfileControl(onChange) {
+    const label = document.createElement('span');
+    label.className = 'svp-control-label';
+    label.textContent = 'Quality: ';
+
+    const select = document.createElement('select');
+    select.className = 'svp-profile-select';
+    SVPProfiles.list().forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.label;
+      option.title = profile.description;
+      select.appendChild(option);
+    });
+    select.value = SVPProfiles.get(settings.transcodeProfile).id;
+    select.addEventListener('change', () => {
+      if (onChange) onChange(select.value);
+    });
+
+    label.appendChild(select);
+    return { element: label, select };
+  }
+
+  function formatClock(seconds) {
+    const total = Math.round(seconds);
+    const minutes = Math.floor(total / 60) % 60;
+    const clock = minutes + ':' + String(total % 60).padStart(2, '0');
+    return total >= 3600 ? Math.floor(total / 3600) + ':' + clock.padStart(5, '0') : clock;
+  }
 
-        // Now request extraction
-        statusCallback('Extracting...');
-        const response = await chrome.runtime.sendMessage({
-          type: 'EXTRACT_ZIP_PROCESS',
-          transferId: transferId
+  // Info line under a video: file size before loading, then duration, resolution,
+  // frame rate, codecs and bitrate. Converted videos get FFmpeg's probe of the
+  // original via update(), and natively played ones a probe of the file's start once
+  // played; the video element fills in whatever is still missing.
+  function createMetadataPanel(video) {
+    const panel = document.createElement('div');
+    panel.className = 'svp-video-metadata';
+    panel.style.display = 'none';
+    const info = {};
+
+    function render() {
+      const parts = [];
+      if (info.size) parts.push(SVPProgress.formatBytes(info.size));
+      if (info.duration) parts.push(formatClock(info.duration));
+      if (info.width && info.height) parts.push(info.width + '\u00d7' + info.height);
+      if (info.fps) parts.push(Math.round(info.fps * 100) / 100 + ' fps');
+      const codecs = [info.videoCodec, info.audioCodec].filter(Boolean).join(' / ');
+      if (codecs) parts.push(codecs);
+      if (info.bitrate) {
+        parts.push(info.bitrate >= 1000 ? (info.bitrate / 1000).toFixed(1) + ' Mb/s' : info.bitrate + ' kb/s');
+      }
+      panel.textContent = parts.join(' \u00b7 ');
+      panel.style.display = parts.length > 0 ? '' : 'none';
+    }
+
+    video.addEventListener('loadedmetadata', () => {
+      if (!info.duration && isFinite(video.duration)) info.duration = video.duration;
+      if (!info.width && video.videoWidth > 0) {
+        info.width = video.videoWidth;
+        info.height = video.videoHeight;
+      }
+      render();
+    });
+
+    return {
+      element: panel,
+      // Merge known fields ({ size, duration, width, height, fps, videoCodec, audioCodec, bitrate })
+      update(fields) {
+        if (!fields) return;
+        Object.keys(fields).forEach(key => {
+          if (fields[key]) info[key] = fields[key];
         });
+        render();
+      }
+    };
+  }
 
-        transcodeCallbacks.delete(zipUrl);
+  // Autoplay goes to the first player built on a page only, so players built as they
+  // near the viewport do not all start at once
+  let autoplayClaimed = false;
 
-        if (response.error) {
-          throw new Error(response.error);
-        }
+  function claimAutoplay() {
+    if (!settings.autoplay || autoplayClaimed) return false;
+    autoplayClaimed = true;
+    return true;
+  }
 
-        // Check if response is chunked
-        if (response.chunked) {
-          const chunks = [];
-          for (let i = 0; i < response.totalChunks; i++) {
-            statusCallback(`Receiving result... ${Math.round((i + 1) / response.totalChunks * 100)}%`);
-            const chunkResp = await chrome.runtime.sendMessage({
-              type: 'GET_RESULT_CHUNK',
-              resultId: response.resultId,
-              chunkIndex: i
-            });
-            if (chunkResp.error) {
-              throw new Error(chunkResp.error);
-            }
-            chunks.push(chunkResp.chunk);
-          }
-          const combined = chunks.join('');
-
-          // Check if this is multiple videos (JSON) or single video (base64)
-          if (response.isMultipleVideos) {
-            const parsed = JSON.parse(combined);
-            return parsed.videos.map(v => ({
-              name: v.name,
-              url: base64ToBlobUrl(v.base64, v.mimeType)
-            }));
-          }
+  // New videos start with the playback defaults from the options page; autoplay is
+  // the player's claimAutoplay()
+  function applyPlaybackSettings(video, autoplay) {
+    video.autoplay = autoplay;
+    video.muted = settings.muted;
+    video.loop = settings.loop;
+    video.defaultPlaybackRate = settings.playbackSpeed;
+    video.playbackRate = settings.playbackSpeed;
+  }
 
-          return base64ToBlobUrl(combined, response.mimeType);
-        }
+  // Whether work on a file of this size starts without a click (maxSize 0: never)
+  function autoLoadAllowed(size, maxSize) {
+    return maxSize > 0 && size > 0 && size <= maxSize;
+  }
 
-        // Check if multiple videos
-        if (response.multiple && response.videos) {
-          return response.videos.map(v => ({
-            name: v.name,
-            url: base64ToBlobUrl(v.base64, v.mimeType)
-          }));
-        }
+  // Warning shown on a load button in place of starting work on a very large file
+  // action says what the click would do, e.g. 'convert'
+  function largeFileWarning(size, action = 'convert') {
+    return 'This file is ' + SVPProgress.formatBytes(size) + ' - it can take a long time to ' + action +
+      ' and may run out of memory or time. Click again to ' + action + ' it anyway';
+  }
 
-        // Single video - convert base64 back to blob URL
-        return base64ToBlobUrl(response.base64, response.mimeType);
-      } else {
-        // Small enough to send in one message
-        const response = await chrome.runtime.sendMessage({
-          type: 'EXTRACT_ZIP_DATA',
-          zipBase64: zipBase64
-        });
+  // Loaded videos are held in memory as blob URLs. A player that leaves the page
+  // gives them up at once, and one kept out of view (and paused) for
+  // IDLE_PLAYER_RELEASE_MS unloads them too - they come back from the cache on the
+  // next click. release(removed) is each player's own clean-up.
+  const IDLE_PLAYER_RELEASE_MS = 5 * 60 * 1000;
+  const managedPlayers = new Map(); // container -> { release, timer }
+
+  const playerVisibility = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      const managed = managedPlayers.get(entry.target);
+      if (!managed) return;
+      clearTimeout(managed.timer);
+      if (!entry.target.isConnected) {
+        releasePlayer(entry.target, true);
+      } else if (!entry.isIntersecting) {
+        managed.timer = setTimeout(() => releaseIdlePlayer(entry.target), IDLE_PLAYER_RELEASE_MS);
+      }
+    });
+  });
 
-        transcodeCallbacks.delete(zipUrl);
+  function managePlayer(container, release) {
+    managedPlayers.set(container, { release, timer: null });
+    playerVisibility.observe(container);
+  }
 
-        if (response.error) {
-          throw new Error(response.error);
-        }
+  function releasePlayer(container, removed) {
+    const managed = managedPlayers.get(container);
+    if (!managed) return;
+    if (removed) {
+      clearTimeout(managed.timer);
+      managedPlayers.delete(container);
+      playerVisibility.unobserve(container);
+    }
+    managed.release(removed);
+  }
 
-        // Check if response is chunked (video might be larger than ZIP)
-        if (response.chunked) {
-          const chunks = [];
-          for (let i = 0; i < response.totalChunks; i++) {
-            statusCallback(`Receiving result... ${Math.round((i + 1) / response.totalChunks * 100)}%`);
-            const chunkResp = await chrome.runtime.sendMessage({
-              type: 'GET_RESULT_CHUNK',
-              resultId: response.resultId,
-              chunkIndex: i
-            });
-            if (chunkResp.error) {
-              throw new Error(chunkResp.error);
-            }
-            chunks.push(chunkResp.chunk);
-          }
-          const combined = chunks.join('');
-
-          // Check if this is multiple videos (JSON) or single video (base64)
-          if (response.isMultipleVideos) {
-            const parsed = JSON.parse(combined);
-            return parsed.videos.map(v => ({
-              name: v.name,
-              url: base64ToBlobUrl(v.base64, v.mimeType)
-            }));
-          }
+  // Players the page took out along with their section
+  function releaseDetachedPlayers() {
+    [...managedPlayers.keys()].forEach((container) => {
+      if (!container.isConnected) releasePlayer(container, true);
+    });
+  }
 
-          return base64ToBlobUrl(combined, response.mimeType);
-        }
+  // Undo functions of the adapter's insertPlayer calls (see adapters.js), by item
+  const itemRestorers = new Map();
 
-        // Check if multiple videos
-        if (response.multiple && response.videos) {
-          return response.videos.map(v => ({
-            name: v.name,
-            url: base64ToBlobUrl(v.base64, v.mimeType)
-          }));
-        }
+  // Tear down every player, when the page moved on to another article or the site was
+  // turned off, and give the items back their original titles and links
+  function teardownPlayers() {
+    [...managedPlayers.keys()].forEach((container) => {
+      releasePlayer(container, true);
+      container.remove();
+    });
+    itemRestorers.forEach(restore => restore());
+    itemRestorers.clear();
+    autoplayClaimed = false;
+  }
 
-        // Single video - convert base64 back to blob URL
-        return base64ToBlobUrl(response.base64, response.mimeType);
-      }
-    } catch (error) {
-      transcodeCallbacks.delete(zipUrl);
-      throw error;
+  function releaseIdlePlayer(container) {
+    const managed = managedPlayers.get(container);
+    if (!managed) return;
+    if (!container.isConnected) {
+      releasePlayer(container, true);
+      return;
     }
+    // A video still playing (scrolled away, or in picture-in-picture) is in use
+    if ([...container.querySelectorAll('video')].some(video => !video.paused)) {
+      managed.timer = setTimeout(() => releaseIdlePlayer(container), IDLE_PLAYER_RELEASE_MS);
+      return;
+    }
+    releasePlayer(container, false);
   }
 
-  // Transcode video via background/offscreen document
-  async function transcodeVideo(videoUrl, statusCallback) {
-    transcodeCallbacks.set(videoUrl, statusCallback);
-    statusCallback('Starting transcoding...');
+  // Players are built once their item nears the viewport, so pages with many videos
+  // do not load every video's metadata up front. Until then a placeholder card shows
+  // the title and size; clicking it builds the player straight away. The size (a HEAD
+  // request, shared with the player's preflight through fetchFileSize) is asked a
+  // little further out, so cards far down a long list cost nothing at page load.
+  const LAZY_PLAYER_MARGIN = '600px 0px';
+  const LAZY_SIZE_MARGIN = '1800px 0px';
+  const lazyPlayers = new Map(); // placeholder -> build()
+  const lazySizes = new Map(); // placeholder -> showSize()
+
+  const lazyPlayerObserver = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) buildLazyPlayer(entry.target);
+    });
+  }, { rootMargin: LAZY_PLAYER_MARGIN });
+
+  const lazySizeObserver = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting) return;
+      const showSize = lazySizes.get(entry.target);
+      lazySizes.delete(entry.target);
+      lazySizeObserver.unobserve(entry.target);
+      if (showSize) showSize();
+    });
+  }, { rootMargin: LAZY_SIZE_MARGIN });
 
-    try {
-      const response = await chrome.runtime.sendMessage({
-        type: 'TRANSCODE_VIDEO',
-        videoUrl: videoUrl
-      });
+  function buildLazyPlayer(placeholder) {
+    const build = lazyPlayers.get(placeholder);
+    if (!build) return;
+    releasePlayer(placeholder, true);
+    placeholder.replaceWith(build());
+  }
 
-      transcodeCallbacks.delete(videoUrl);
+  // kind describes the file ('MP4 video', 'ZIP archive'); build() creates the player
+  function createLazyPlayer(url, title, kind, build) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'svp-video-player-container svp-player-placeholder';
 
-      if (response.error) {
-        throw new Error(response.error);
-      }
+    const loadBtn = document.createElement('button');
+    loadBtn.className = 'svp-transcode-btn';
+    loadBtn.textContent = title || 'Supplementary video';
+    loadBtn.addEventListener('click', () => buildLazyPlayer(placeholder));
 
-      // Convert base64 back to blob URL
-      const binaryString = atob(response.base64);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-      const blob = new Blob([bytes], { type: response.mimeType });
-      return URL.createObjectURL(blob);
-    } catch (error) {
-      transcodeCallbacks.delete(videoUrl);
-      throw error;
-    }
+    const details = document.createElement('div');
+    details.className = 'svp-video-metadata';
+    details.textContent = kind;
+
+    placeholder.appendChild(loadBtn);
+    placeholder.appendChild(details);
+
+    lazySizes.set(placeholder, () => {
+      fetchFileSize(url).then((size) => {
+        if (size) details.textContent = kind + ' \u00b7 ' + SVPProgress.formatBytes(size);
+      });
+    });
+    lazySizeObserver.observe(placeholder);
+    lazyPlayers.set(placeholder, build);
+    lazyPlayerObserver.observe(placeholder);
+    // Only a removal matters here: forget the card (see managePlayer)
+    managePlayer(placeholder, (removed) => {
+      if (!removed) return;
+      lazyPlayers.delete(placeholder);
+      lazyPlayerObserver.unobserve(placeholder);
+      lazySizes.delete(placeholder);
+      lazySizeObserver.unobserve(placeholder);
+    });
+    return placeholder;
   }
 
   // Create video player element with custom controls
-  function createVideoPlayer(videoUrl, description) {
+  // format is the sniffed extension for links without one
+  function createVideoPlayer(videoUrl, description, format = null) {
     const container = document.createElement('div');
     container.className = 'svp-video-player-container';
-
-    const requiresTranscode = needsTranscoding(videoUrl);
+    const playerId = nextPlayerId();
+    container.dataset.playerId = playerId;
 
     // Create wrapper for video and controls
     const wrapper = document.createElement('div');
@@ -272,44 +1292,257 @@
     video.className = 'svp-video-player';
     video.controls = true;
     video.preload = 'metadata';
+    applyPlaybackSettings(video, claimAutoplay());
 
     // Status element for transcoding
-    const status = document.createElement('div');
-    status.className = 'svp-video-status';
-    status.style.display = 'none';
+    const status = createStatusArea();
+    const metadataPanel = createMetadataPanel(video);
+
+    // Conversion button, created once native playback is ruled out
+    let transcodeBtn = null;
+    let transcodeReason = null;
+    let controller = null;
+    // File size from a HEAD request, and whether the user accepted the large-file warning
+    let fileSize = null;
+    let largeFileConfirmed = false;
+    // Converted video on show and the profile it was made with
+    let converting = false;
+    let convertedUrl = null;
+    let convertedProfile = null;
+
+    // A converted video can be made again with another profile
+    const profileControl = createProfileControl((profileId) => {
+      if (!convertedUrl || converting) return;
+      updateTranscodeLabel();
+      transcodeBtn.style.display = profileId === convertedProfile ? 'none' : '';
+    });
+    // Whether the video element is playing the original file, and whether the user pressed play
+    let nativeAttempt = false;
+    let playRequested = false;
+
+    status.cancelBtn.addEventListener('click', () => {
+      cancelPlayerWork(playerId, controller);
+      // Back to the initial state
+      status.hide();
+      transcodeBtn.style.display = '';
+    });
 
-    if (requiresTranscode) {
-      // Show transcode button instead of loading video directly
-      const transcodeBtn = document.createElement('button');
-      transcodeBtn.className = 'svp-transcode-btn';
-      transcodeBtn.textContent = 'Click to load video (requires conversion)';
-      transcodeBtn.addEventListener('click', async () => {
-        transcodeBtn.style.display = 'none';
-        status.style.display = 'block';
-        status.textContent = 'Initializing converter...';
+    function updateTranscodeLabel() {
+      if (!transcodeBtn) return;
+      const sizeText = fileSize ? ' (' + SVPProgress.formatBytes(fileSize) + ')' : '';
+      if (convertedUrl) {
+        transcodeBtn.textContent = 'Convert again as ' + SVPProfiles.get(profileControl.select.value).label + sizeText;
+        return;
+      }
+      transcodeBtn.textContent = transcodeReason
+        ? transcodeReason + ' - click to convert it' + sizeText
+        : 'Click to load video (requires conversion)' + sizeText;
+    }
 
+    async function startTranscoding() {
+      // Ask once before converting a very large file
+      if (fileSize > LARGE_FILE_SIZE && !largeFileConfirmed) {
+        largeFileConfirmed = true;
+        transcodeBtn.textContent = largeFileWarning(fileSize);
+        transcodeBtn.style.display = '';
+        return;
+      }
+      updateTranscodeLabel();
+
+      controller = new AbortController();
+      const signal = controller.signal;
+      const profileId = profileControl.select.value;
+      transcodeBtn.style.display = 'none';
+      status.show('Initializing converter...', true);
+      converting = true;
+
+      // Unless an earlier conversion is already playing, a short low-resolution
+      // preview plays first, then long conversions continue from the first converted
+      // segment; each step takes over at the current position
+      let previewUrl = null;
+      let stream = null;
+
+      function dropPreview() {
+        if (!previewUrl) return;
+        URL.revokeObjectURL(previewUrl);
+        previewUrl = null;
+      }
+
+      const onPreview = !convertedUrl ? async (preview) => {
         try {
-          const mp4Url = await transcodeVideo(videoUrl, (msg) => {
-            status.textContent = msg;
-          });
-          status.style.display = 'none';
-          video.src = mp4Url;
+          const blob = await bridgeRequest({ type: 'TAKE', id: preview.blobId });
+          if (signal.aborted || stream) return;
+          previewUrl = URL.createObjectURL(blob);
+          video.src = previewUrl;
           video.style.display = 'block';
         } catch (error) {
-          status.textContent = 'Conversion failed: ' + error.message + '. Please download the video instead.';
-          status.className = 'svp-video-status error';
+          // The full conversion still shows up once it is done
         }
-      });
-      wrapper.appendChild(transcodeBtn);
+      } : null;
+
+      const onSegment = supportsProgressivePlayback() && !convertedUrl ? (segment) => {
+        if (signal.aborted) {
+          bridgeRequest({ type: 'REMOVE', id: segment.blobId }).catch(() => {});
+          return;
+        }
+        if (!stream) {
+          // Without support for this conversion's codecs, the video plays once complete
+          if (!MediaSource.isTypeSupported(segment.mimeType)) {
+            bridgeRequest({ type: 'REMOVE', id: segment.blobId }).catch(() => {});
+            return;
+          }
+          if (previewUrl) keepPlaybackState(video);
+          stream = createSegmentPlayer(video);
+          dropPreview();
+          video.style.display = 'block';
+        }
+        // After a failed append the rest is dropped and the video plays once converted
+        stream.push(segment).catch(() => {});
+      } : null;
+
+      try {
+        const mp4Url = await transcodeVideo(videoUrl, profileId, playerId, (progress) => {
+          const message = SVPProgress.format(progress);
+          if (stream) {
+            status.showCompact(message);
+          } else if (previewUrl) {
+            status.showCompact('Playing a low-resolution preview of the start - ' + message);
+          } else {
+            status.update(message);
+          }
+        }, signal, onSegment, onPreview);
+        status.hide();
+        if (stream || previewUrl || convertedUrl) {
+          swapVideoSource(video, mp4Url);
+          if (stream) stream.destroy();
+          dropPreview();
+        } else {
+          video.src = mp4Url;
+        }
+        video.style.display = 'block';
+        metadataPanel.update(videoMetadata.get(mp4Url));
+        // The previous conversion is no longer shown
+        revokeVideoUrl(convertedUrl);
+        convertedUrl = mp4Url;
+        convertedProfile = profileId;
+      } catch (error) {
+        if (stream || previewUrl) {
+          if (stream) stream.destroy();
+          dropPreview();
+          video.removeAttribute('src');
+          video.load();
+          video.style.display = 'none';
+        }
+        if (signal.aborted) return;
+        status.error('Conversion failed: ' + error.message + '. Please download the video instead.');
+      } finally {
+        converting = false;
+      }
+    }
+
+    // Switch to the FFmpeg path. reason explains why native playback is not used;
+    // with autoStart (the user already pressed play) conversion begins right away.
+    function offerTranscoding(reason, autoStart) {
+      nativeAttempt = false;
+      video.removeAttribute('src');
+      video.load();
       video.style.display = 'none';
-    } else {
+
+      if (!transcodeBtn) {
+        transcodeBtn = document.createElement('button');
+        transcodeBtn.className = 'svp-transcode-btn';
+        transcodeBtn.addEventListener('click', startTranscoding);
+        wrapper.insertBefore(transcodeBtn, wrapper.firstChild);
+        controlsBar.insertBefore(profileControl.element, fullscreenBtn);
+        controlsBar.insertBefore(createClearCacheButton(), downloadLink);
+      }
+      transcodeReason = reason;
+      updateTranscodeLabel();
+      transcodeBtn.style.display = '';
+
+      if (autoStart) {
+        startTranscoding();
+        return;
+      }
+      // Files under the options page's auto-convert size need no click
+      fetchFileSize(videoUrl).then((size) => {
+        if (!autoLoadAllowed(size, settings.autoTranscodeMaxSize) || converting || convertedUrl) return;
+        largeFileConfirmed = true;
+        startTranscoding();
+      });
+    }
+
+    // Try the browser's own decoders; decode errors and videos without a decodable
+    // picture (HEVC, ProRes, MPEG-4 Part 2 in MP4) fall back to conversion
+    // decodeFailure: the browser read the file but could not decode it. Other failures
+    // are only remembered once the URL turns out to serve a video file.
+    function fallBackFromNative(reason, decodeFailure) {
+      if (!nativeAttempt) return;
+      if (decodeFailure) {
+        rememberPlaybackOutcome(videoUrl, 'transcode');
+      } else {
+        servesVideo(videoUrl).then((isVideo) => {
+          if (isVideo) rememberPlaybackOutcome(videoUrl, 'transcode');
+        });
+      }
+      offerTranscoding(reason, playRequested);
+    }
+
+    // Frame rate, codecs and bitrate of natively played videos come from FFmpeg too.
+    // Only asked once the video is played, so scrolling past players does not start
+    // the converter.
+    let probed = false;
+    video.addEventListener('play', () => {
+      playRequested = true;
+      if (!nativeAttempt || probed) return;
+      probed = true;
+      probeVideo(videoUrl, playerId).then(metadata => metadataPanel.update(metadata));
+    });
+    video.addEventListener('error', () => {
+      const error = video.error;
+      // Network failures would hit the converter too; leave those to the native player
+      if (!error || error.code === MediaError.MEDIA_ERR_NETWORK || error.code === MediaError.MEDIA_ERR_ABORTED) return;
+      const decodeFailure = error.code === MediaError.MEDIA_ERR_DECODE;
+      fallBackFromNative(decodeFailure
+        ? 'This video could not be decoded by the browser'
+        : 'This video format is not supported by the browser', decodeFailure);
+    });
+    video.addEventListener('loadedmetadata', () => {
+      if (nativeAttempt && video.videoWidth === 0 && video.videoHeight === 0) {
+        fallBackFromNative('The browser cannot decode this video\'s picture', true);
+      }
+    });
+    video.addEventListener('loadeddata', () => {
+      if (nativeAttempt && video.videoWidth > 0) {
+        rememberPlaybackOutcome(videoUrl, 'native');
+      }
+    });
+
+    function tryNativePlayback() {
+      nativeAttempt = true;
       video.src = videoUrl;
     }
 
+    getPlaybackOutcome(videoUrl).then((mode) => {
+      if ((mode || guessPlaybackMode(videoUrl, format)) === 'native') {
+        tryNativePlayback();
+      } else {
+        offerTranscoding(null, false);
+      }
+    });
+
+    // Preflight: show how big the file is before anything is loaded
+    fetchFileSize(videoUrl).then((size) => {
+      fileSize = size;
+      metadataPanel.update({ size });
+      // Keep a pending large-file warning as it is
+      if (!largeFileConfirmed) updateTranscodeLabel();
+    });
+
     // Fallback message
     video.textContent = 'Your browser does not support HTML5 video.';
 
-    wrapper.appendChild(status);
+    wrapper.appendChild(status.element);
     wrapper.appendChild(video);
 
     // Create custom controls bar
@@ -327,10 +1560,12 @@
       const option = document.createElement('option');
       option.value = rate;
       option.textContent = rate + 'x';
-      if (rate === 1) option.selected = true;
+      if (rate === settings.playbackSpeed) option.selected = true;
       speedSelect.appendChild(option);
     });
     speedSelect.addEventListener('change', () => {
+      // The default carries the speed over to a converted source
+      video.defaultPlaybackRate = parseFloat(speedSelect.value);
       video.playbackRate = parseFloat(speedSelect.value);
     });
 
@@ -360,6 +1595,25 @@
 
     container.appendChild(wrapper);
     container.appendChild(controlsBar);
+    container.appendChild(metadataPanel.element);
+
+    // Unload the converted video; it is converted (or read from the cache) again on
+    // the next click. A conversion in progress continues unless the player is gone.
+    managePlayer(container, (removed) => {
+      if (converting) {
+        if (!removed) return;
+        cancelPlayerWork(playerId, controller);
+      }
+      if (!convertedUrl) return;
+      video.removeAttribute('src');
+      video.load();
+      video.style.display = 'none';
+      revokeVideoUrl(convertedUrl);
+      convertedUrl = null;
+      convertedProfile = null;
+      updateTranscodeLabel();
+      transcodeBtn.style.display = '';
+    });
 
     // Add description if available
     if (description) {
@@ -372,19 +1626,20 @@
     return container;
   }
 
-  // Create video player for zipped videos (Science.org)
-  function createZipVideoPlayer(zipUrl, description) {
+  // Create video player for zipped (or otherwise archived) videos (Science.org)
+  function createZipVideoPlayer(zipUrl, description, format = archiveExtension(zipUrl)) {
+    const archiveLabel = format === '.zip' ? 'ZIP' : 'archive';
     const container = document.createElement('div');
     container.className = 'svp-video-player-container';
+    const playerId = nextPlayerId();
+    container.dataset.playerId = playerId;
 
     // Create wrapper for video and controls
     const wrapper = document.createElement('div');
     wrapper.className = 'svp-video-wrapper';
 
     // Status element
-    const status = document.createElement('div');
-    status.className = 'svp-video-status';
-    status.style.display = 'none';
+    const status = createStatusArea();
 
     // Container for tabs (for multiple videos)
     const tabsContainer = document.createElement('div');
@@ -395,80 +1650,440 @@
     const videosContainer = document.createElement('div');
     videosContainer.className = 'svp-videos-container';
 
+    // Browser for every file in the archive, shown once it is listed
+    const filesPanel = document.createElement('details');
+    filesPanel.className = 'svp-archive-files';
+    filesPanel.style.display = 'none';
+
     // Show extract button
     const extractBtn = document.createElement('button');
     extractBtn.className = 'svp-transcode-btn';
-    extractBtn.textContent = 'Click to extract and play video from ZIP';
-    extractBtn.addEventListener('click', async () => {
-      extractBtn.style.display = 'none';
-      status.style.display = 'block';
-      status.textContent = 'Downloading ZIP...';
+    extractBtn.textContent = 'Click to extract and play video from ' + archiveLabel;
+
+    let controller = null;
+    // Video item shown in the player, once the entry list is in
+    let selected = null;
+    // Archive size from a HEAD request, and whether the large-file warning was shown
+    let archiveSize = null;
+    let largeArchiveConfirmed = false;
+    // Applies to videos converted from now on
+    const profileControl = createProfileControl();
+    // Whichever video is on show when it loads gets to autoplay
+    const autoplay = claimAutoplay();
+    // Unloads the listed videos (see managePlayer), once there are any
+    let releaseVideos = null;
+
+    status.cancelBtn.addEventListener('click', () => {
+      if (selected) {
+        // Stop the selected video's extraction; the others keep going
+        cancelPlayerWork(selected.id, selected.controller);
+        return;
+      }
+      cancelPlayerWork(playerId, controller);
+      // Back to the initial state
+      status.hide();
+      extractBtn.style.display = '';
+    });
 
-      try {
-        const result = await extractZipVideo(zipUrl, (msg) => {
-          status.textContent = msg;
-        });
-        status.style.display = 'none';
+    // One tab per video; each extracts (and transcodes) its entry on first selection.
+    // Items run their background jobs under their own player ID so progress and
+    // Cancel apply to the right video. Other files go to the file browser.
+    function showArchive(archive) {
+      const filesPlayerId = playerId + '-files';
+      const items = archive.entries.map((entry, index) => {
+        const name = entry.name.split('/').pop(); // Show only filename
+        const sizeText = entry.size ? ' (' + SVPProgress.formatBytes(entry.size) + ')' : '';
+
+        const element = document.createElement('div');
+        element.className = 'svp-video-item';
+        element.style.display = 'none';
+
+        const video = document.createElement('video');
+        video.className = 'svp-video-player';
+        video.controls = true;
+        video.preload = 'metadata';
+        video.style.display = 'none';
+        applyPlaybackSettings(video, autoplay);
+
+        const loadBtn = document.createElement('button');
+        loadBtn.className = 'svp-transcode-btn';
+        loadBtn.textContent = 'Click to load ' + name + sizeText;
+
+        const metadataPanel = createMetadataPanel(video);
+        metadataPanel.update({ size: entry.size });
+
+        // Caption text shipped next to the movie
+        const caption = document.createElement('div');
+        caption.className = 'svp-video-description svp-video-caption';
+        caption.style.display = 'none';
+
+        element.appendChild(video);
+        element.appendChild(loadBtn);
+        element.appendChild(metadataPanel.element);
+        if (archive.entries.length > 1) {
+          const videoLabel = document.createElement('div');
+          videoLabel.className = 'svp-video-label';
+          videoLabel.textContent = name;
+          element.appendChild(videoLabel);
+        }
+        element.appendChild(caption);
+        videosContainer.appendChild(element);
+
+        const item = {
+          id: playerId + '-' + (index + 1),
+          entry, name, sizeText, element, video, loadBtn, caption, metadataPanel,
+          captionFile: findCaptionFile(entry.name, archive.files),
+          state: 'idle', // idle | loading | ready | error
+          statusText: '',
+          // Very large videos that need converting wait for a second click
+          needsConfirmation: entry.size > LARGE_FILE_SIZE && TRANSCODE_FORMATS.includes('.' + entry.format),
+          controller: null,
+          promise: null,
+          url: null
+        };
+        loadBtn.addEventListener('click', () => loadItem(item));
+        return item;
+      });
+
+      // Reflect the selected item's state in the shared status area
+      function showItemStatus(item) {
+        if (item.state === 'loading') {
+          status.show(item.statusText, true);
+        } else if (item.state === 'error') {
+          status.show('', false);
+          status.error(item.statusText);
+        } else {
+          status.hide();
+        }
+        item.loadBtn.style.display = item.state === 'idle' || item.state === 'error' ? '' : 'none';
+      }
 
-        // Check if result is array (multiple videos)
-        if (Array.isArray(result)) {
-
-          // Create tabs and video elements for each video
-          result.forEach((videoInfo, index) => {
-            // Create tab button
-            const tab = document.createElement('button');
-            tab.className = 'svp-video-tab' + (index === 0 ? ' active' : '');
-            tab.textContent = videoInfo.name.split('/').pop(); // Show only filename
-            tab.dataset.index = index;
-            tab.addEventListener('click', () => {
-              // Switch active tab
-              tabsContainer.querySelectorAll('.svp-video-tab').forEach(t => t.classList.remove('active'));
-              tab.classList.add('active');
-              // Switch visible video
-              videosContainer.querySelectorAll('.svp-video-item').forEach((v, i) => {
-                v.style.display = i === index ? 'block' : 'none';
-              });
-            });
-            tabsContainer.appendChild(tab);
-
-            // Create video container
-            const videoItem = document.createElement('div');
-            videoItem.className = 'svp-video-item';
-            videoItem.style.display = index === 0 ? 'block' : 'none';
-
-            const video = document.createElement('video');
-            video.className = 'svp-video-player';
-            video.controls = true;
-            video.preload = 'metadata';
-            video.src = videoInfo.url;
-
-            const videoLabel = document.createElement('div');
-            videoLabel.className = 'svp-video-label';
-            videoLabel.textContent = videoInfo.name.split('/').pop();
-
-            videoItem.appendChild(video);
-            videoItem.appendChild(videoLabel);
-            videosContainer.appendChild(videoItem);
+      // Read a movie's caption file the first time the movie is shown
+      function showCaption(item) {
+        if (!item.captionFile || item.captionShown) return;
+        item.captionShown = true;
+        archive.readFile(item.captionFile, filesPlayerId, new AbortController().signal)
+          .then(blob => blob.text())
+          .then((text) => {
+            item.caption.textContent = text.trim();
+            item.caption.style.display = text.trim() ? '' : 'none';
+          })
+          .catch(() => {
+            // Tried again the next time the movie is shown
+            item.captionShown = false;
+            item.caption.textContent = 'Caption unavailable';
+            item.caption.style.display = '';
           });
+      }
 
-          tabsContainer.style.display = 'flex';
+      function selectItem(item, autoLoad) {
+        selected = item;
+        showCaption(item);
+        items.forEach((other, i) => {
+          other.element.style.display = other === item ? 'block' : 'none';
+          if (other !== item) other.video.pause();
+          if (tabs[i]) tabs[i].classList.toggle('active', other === item);
+        });
+        if (autoLoad && item.state === 'idle') {
+          loadItem(item);
         } else {
-          // Single video
-          const video = document.createElement('video');
-          video.className = 'svp-video-player';
-          video.controls = true;
-          video.preload = 'metadata';
-          video.src = result;
-          videosContainer.appendChild(video);
+          showItemStatus(item);
+        }
+      }
+
+      function loadItem(item) {
+        if (item.state === 'ready') return Promise.resolve();
+        if (item.promise) return item.promise;
+        if (item.needsConfirmation) {
+          item.needsConfirmation = false;
+          item.loadBtn.textContent = largeFileWarning(item.entry.size);
+          showItemStatus(item);
+          return Promise.resolve();
+        }
+
+        item.controller = new AbortController();
+        const signal = item.controller.signal;
+        item.state = 'loading';
+        item.statusText = 'Loading ' + item.name + '...';
+        if (item === selected) showItemStatus(item);
+        updatePrepareBtn();
+
+        item.promise = archive.load(item.entry, profileControl.select.value, item.id, (progress) => {
+          item.statusText = SVPProgress.format(progress);
+          if (item === selected) status.update(item.statusText);
+        }, signal).then((url) => {
+          item.state = 'ready';
+          item.url = url;
+          item.video.src = url;
+          // Only the video on show may autoplay
+          if (item !== selected) item.video.pause();
+          item.video.style.display = 'block';
+          item.metadataPanel.update(videoMetadata.get(url));
+        }, (error) => {
+          item.state = signal.aborted ? 'idle' : 'error';
+          item.statusText = 'Extraction failed: ' + error.message;
+        }).finally(() => {
+          item.promise = null;
+          if (item === selected) showItemStatus(item);
+          updatePrepareBtn();
+        });
+        return item.promise;
+      }
+
+      // Extract every remaining video one after another, without switching tabs
+      const prepareBtn = document.createElement('button');
+      prepareBtn.className = 'svp-prepare-all-btn';
+      prepareBtn.textContent = 'Prepare all in background';
+      let preparing = false;
+
+      function updatePrepareBtn() {
+        const remaining = items.filter(item => item.state !== 'ready').length;
+        prepareBtn.style.display = remaining === 0 ? 'none' : '';
+        prepareBtn.disabled = preparing;
+        prepareBtn.textContent = preparing
+          ? `Preparing... ${items.length - remaining}/${items.length} ready`
+          : 'Prepare all in background';
+      }
+
+      prepareBtn.addEventListener('click', async () => {
+        preparing = true;
+        updatePrepareBtn();
+        // Asking to prepare everything covers the large-file warnings too
+        for (const item of items) {
+          item.needsConfirmation = false;
+          await loadItem(item);
+        }
+        preparing = false;
+        updatePrepareBtn();
+      });
+
+      const tabs = [];
+      if (items.length > 1) {
+        items.forEach((item) => {
+          const tab = document.createElement('button');
+          tab.className = 'svp-video-tab';
+          tab.textContent = item.name + item.sizeText;
+          tab.title = item.entry.format.toUpperCase() +
+            (TRANSCODE_FORMATS.includes('.' + item.entry.format) ? ', converted before playing' : '');
+          tab.addEventListener('click', () => selectItem(item, true));
+          tabs.push(tab);
+          tabsContainer.appendChild(tab);
+        });
+        tabsContainer.appendChild(prepareBtn);
+        tabsContainer.style.display = 'flex';
+      }
+
+      // Loaded videos go back to idle and load again on their next selection. The
+      // archive itself is kept for that until the player leaves the page.
+      releaseVideos = (removed) => {
+        items.forEach((item) => {
+          if (removed && item.state === 'loading') {
+            cancelPlayerWork(item.id, item.controller);
+          }
+          if (item.state !== 'ready') return;
+          item.video.removeAttribute('src');
+          item.video.load();
+          item.video.style.display = 'none';
+          revokeVideoUrl(item.url);
+          item.url = null;
+          item.state = 'idle';
+          item.loadBtn.textContent = 'Click to load ' + item.name + item.sizeText;
+        });
+        if (removed) {
+          archive.release();
+          return;
+        }
+        if (selected) showItemStatus(selected);
+        updatePrepareBtn();
+      };
+
+      showFileBrowser(archive, items, (item) => {
+        selectItem(item, true);
+        wrapper.scrollIntoView({ block: 'nearest' });
+      });
+
+      // A lone video loads straight away; otherwise wait for the user's pick
+      if (items.length > 0) {
+        selectItem(items[0], items.length === 1);
+      } else {
+        filesPanel.open = true;
+      }
+    }
+
+    // File tree of the whole archive: videos can be played, text and images
+    // previewed, and any file downloaded on its own
+    function showFileBrowser(archive, items, playItem) {
+      const filesPlayerId = playerId + '-files';
+      const itemsByName = new Map(items.map(item => [item.entry.name, item]));
+      const allFiles = [...archive.entries, ...archive.files].sort((a, b) => a.name.localeCompare(b.name));
+
+      function readFile(file) {
+        return archive.readFile(file, filesPlayerId, new AbortController().signal);
+      }
+
+      function createFileRow(file) {
+        const row = document.createElement('li');
+        row.className = 'svp-archive-file';
+
+        const label = document.createElement('span');
+        label.className = 'svp-archive-file-name';
+        label.textContent = file.name.split('/').pop();
+        row.appendChild(label);
+
+        if (file.size) {
+          const size = document.createElement('span');
+          size.className = 'svp-archive-file-size';
+          size.textContent = SVPProgress.formatBytes(file.size);
+          row.appendChild(size);
+        }
+
+        const preview = document.createElement('div');
+        preview.className = 'svp-archive-preview';
+        preview.style.display = 'none';
+
+        function addAction(text, onClick) {
+          const button = document.createElement('button');
+          button.className = 'svp-archive-file-btn';
+          button.textContent = text;
+          button.addEventListener('click', onClick);
+          row.appendChild(button);
+          return button;
+        }
+
+        const item = itemsByName.get(file.name);
+        if (item) {
+          addAction('Play', () => playItem(item));
+        }
+
+        const kind = filePreviewKind(file.name);
+        if (kind) {
+          let loaded = false;
+          const viewBtn = addAction('View', async () => {
+            if (preview.style.display !== 'none') {
+              preview.style.display = 'none';
+              viewBtn.textContent = 'View';
+              return;
+            }
+            preview.style.display = '';
+            viewBtn.textContent = 'Hide';
+            if (loaded) return;
+            loaded = true;
+            preview.textContent = 'Loading...';
+            try {
+              const blob = await readFile(file);
+              preview.textContent = '';
+              if (kind === 'image') {
+                const image = document.createElement('img');
+                // SVGs need their type to render from a blob URL
+                image.src = URL.createObjectURL(file.name.toLowerCase().endsWith('.svg')
+                  ? new Blob([blob], { type: 'image/svg+xml' })
+                  : blob);
+                // The decoded image stays on show without its URL
+                image.addEventListener('load', () => URL.revokeObjectURL(image.src), { once: true });
+                image.alt = file.name;
+                preview.appendChild(image);
+              } else {
+                const text = document.createElement('pre');
+                text.textContent = await blob.slice(0, MAX_TEXT_PREVIEW).text();
+                if (blob.size > MAX_TEXT_PREVIEW) {
+                  text.textContent += '\n\n[Truncated - download the file to see all of it]';
+                }
+                preview.appendChild(text);
+              }
+            } catch (error) {
+              loaded = false;
+              preview.textContent = 'Could not read file: ' + error.message;
+            }
+          });
         }
+
+        const downloadBtn = addAction('Download', async () => {
+          downloadBtn.disabled = true;
+          downloadBtn.textContent = 'Preparing...';
+          try {
+            saveBlob(await readFile(file), file.name.split('/').pop());
+            downloadBtn.textContent = 'Download';
+          } catch (error) {
+            downloadBtn.textContent = 'Download failed';
+            downloadBtn.title = error.message;
+          } finally {
+            downloadBtn.disabled = false;
+          }
+        });
+
+        row.appendChild(preview);
+        return row;
+      }
+
+      function createFolderList(node) {
+        const list = document.createElement('ul');
+        list.className = 'svp-archive-tree';
+        node.folders.forEach((child, folderName) => {
+          const folder = document.createElement('li');
+          const details = document.createElement('details');
+          details.open = true;
+          const summary = document.createElement('summary');
+          summary.textContent = folderName + '/';
+          details.appendChild(summary);
+          details.appendChild(createFolderList(child));
+          folder.appendChild(details);
+          list.appendChild(folder);
+        });
+        node.files.forEach(file => list.appendChild(createFileRow(file)));
+        return list;
+      }
+
+      const summary = document.createElement('summary');
+      summary.textContent = `Files in ${archiveLabel} (${allFiles.length})`;
+      filesPanel.appendChild(summary);
+      filesPanel.appendChild(createFolderList(buildFileTree(allFiles)));
+      filesPanel.style.display = '';
+    }
+
+    function updateExtractLabel() {
+      extractBtn.textContent = 'Click to extract and play video from ' + archiveLabel +
+        (archiveSize ? ' (' + SVPProgress.formatBytes(archiveSize) + ')' : '');
+    }
+
+    // Preflight: show the archive's size before anything is downloaded
+    fetchFileSize(zipUrl).then((size) => {
+      archiveSize = size;
+      if (!largeArchiveConfirmed) updateExtractLabel();
+      // Archives under the options page's auto-extract size need no click
+      if (autoLoadAllowed(size, settings.autoExtractMaxSize) && !controller) {
+        largeArchiveConfirmed = true;
+        extractBtn.click();
+      }
+    });
+
+    extractBtn.addEventListener('click', async () => {
+      // Plain ZIPs are usually read entry by entry; other archives are downloaded whole
+      if (format !== '.zip' && archiveSize > LARGE_FILE_SIZE && !largeArchiveConfirmed) {
+        largeArchiveConfirmed = true;
+        extractBtn.textContent = largeFileWarning(archiveSize, 'download and extract');
+        return;
+      }
+      updateExtractLabel();
+
+      controller = new AbortController();
+      const signal = controller.signal;
+      extractBtn.style.display = 'none';
+      status.show('Downloading ' + archiveLabel + '...', true);
+
+      try {
+        const archive = await extractZipVideo(zipUrl, format, playerId, (progress) => {
+          status.update(SVPProgress.format(progress));
+        }, signal);
+        status.hide();
+        showArchive(archive);
       } catch (error) {
-        status.textContent = 'Extraction failed: ' + error.message;
-        status.className = 'svp-video-status error';
+        if (signal.aborted) return;
+        status.error('Extraction failed: ' + error.message);
       }
     });
 
     wrapper.appendChild(extractBtn);
-    wrapper.appendChild(status);
+    wrapper.appendChild(status.element);
     wrapper.appendChild(tabsContainer);
     wrapper.appendChild(videosContainer);
 
@@ -480,13 +2095,23 @@
     const downloadLink = document.createElement('a');
     downloadLink.href = zipUrl;
     downloadLink.className = 'svp-download-link';
-    downloadLink.textContent = 'Download ZIP';
+    downloadLink.textContent = 'Download ' + archiveLabel;
     downloadLink.download = '';
 
+    controlsBar.appendChild(profileControl.element);
+    controlsBar.appendChild(createClearCacheButton());
     controlsBar.appendChild(downloadLink);
 
     container.appendChild(wrapper);
     container.appendChild(controlsBar);
+    container.appendChild(filesPanel);
+
+    managePlayer(container, (removed) => {
+      if (removed && controller) {
+        cancelPlayerWork(playerId, controller);
+      }
+      if (releaseVideos) releaseVideos(removed);
+    });
 
     // Add description if available
     if (description) {
@@ -499,200 +2124,205 @@
     return container;
   }
 
-  // Replace video links with players
-  function replaceVideoLinks() {
-
-    // Find all supplementary items
-    const suppItems = document.querySelectorAll('.c-article-supplementary__item[data-test="supp-item"]');
-
-    suppItems.forEach((item, index) => {
-      // Find the link
-      const link = item.querySelector('a[data-test="supp-info-link"]');
-      if (!link) {
-        return;
-      }
+  // Resolve a link attribute to an absolute URL
+  function resolveHref(rawHref) {
+    if (!rawHref) return null;
+    try {
+      return new URL(rawHref, window.location.href).href;
+    } catch (e) {
+      return null;
+    }
+  }
 
-      const href = link.getAttribute('href');
+  // Items whose extensionless link was classified (or is being), so it is asked once
+  // per article
+  let classifiedItems = new WeakSet();
 
-      if (!isVideoLink(href)) {
-        return;
-      }
+  // Replace supplementary video links using the page's publisher adapter
+  function replaceAdapterVideoLinks(adapter) {
+    const suppItems = document.querySelectorAll(adapter.itemSelector);
 
+    suppItems.forEach((item) => {
+      // Avoid duplicate injection on reruns
+      if (item.querySelector('.svp-video-player-container') || classifiedItems.has(item)) return;
 
-      // Get title and description
-      const title = link.textContent.trim();
-      const descElement = item.querySelector('.c-article-supplementary__description p');
-      const description = descElement ? descElement.textContent.trim() : '';
+      const link = adapter.findLink(item);
+      if (!link) return;
 
-      // Check if already replaced
-      if (item.querySelector('.svp-video-player-container')) return;
+      const href = resolveHref(link.getAttribute('href'));
+      if (!href) return;
 
-      // Create player
-      const playerContainer = createVideoPlayer(href, description);
+      const description = adapter.getDescription ? adapter.getDescription(item, link) : '';
 
-      // Replace the title link with just text
-      const titleElement = item.querySelector('.c-article-supplementary__title');
-      if (titleElement) {
-        titleElement.innerHTML = '';
-        const titleText = document.createElement('span');
-        titleText.className = 'svp-video-title';
-        titleText.textContent = title;
-        titleElement.appendChild(titleText);
-      }
+      // Every site places a placeholder card, which becomes the player near the viewport
+      const insert = (kind, build) => {
+        const title = adapter.getTitle ? adapter.getTitle(item, link) : link.textContent.trim();
+        const restore = adapter.insertPlayer(item, createLazyPlayer(href, title, kind, build), { link, title, description });
+        if (typeof restore === 'function') itemRestorers.set(item, restore);
+      };
+      const videoKind = format => (format ? format.slice(1).toUpperCase() + ' video' : 'Video');
+      const archiveKind = format => (format === '.zip' ? 'ZIP archive' : 'Video archive');
 
-      // Insert player after title
-      if (titleElement) {
-        titleElement.parentNode.insertBefore(playerContainer, titleElement.nextSibling);
+      if (isVideoLink(href)) {
+        insert(videoKind(pathExtension(href)), () => createVideoPlayer(href, description));
+      } else if (adapter.archives && isArchivedVideo(href, description)) {
+        insert(archiveKind(archiveExtension(href)), () => createZipVideoPlayer(href, description));
+      } else if (!pathExtension(href)) {
+        // Download endpoints without an extension: ask the server what they are
+        classifiedItems.add(item);
+        classifyLink(href).then((sniffed) => {
+          if (!sniffed || !item.isConnected || item.querySelector('.svp-video-player-container')) return;
+          if (sniffed.kind === 'video') {
+            insert(videoKind(sniffed.format), () => createVideoPlayer(href, description, sniffed.format));
+          } else if (sniffed.kind === 'archive' && adapter.archives && mentionsVideo(href, description)) {
+            insert(archiveKind(sniffed.format), () => createZipVideoPlayer(href, description, sniffed.format));
+          }
+        });
       }
-
     });
   }
 
-  // Replace video links on Science.org
-  function replaceScienceVideoLinks() {
-
-    // Find all supplementary material items
-    const suppItems = document.querySelectorAll('.core-supplementary-material');
+  // The article a URL shows; hash changes (jumps to a section) are not navigation
+  function articleKey(href) {
+    return href.split('#')[0];
+  }
 
-    suppItems.forEach((item, index) => {
-      // Find the download link
-      const linkContainer = item.querySelector('.core-link');
-      const link = linkContainer ? linkContainer.querySelector('a[download]') : null;
-      if (!link) {
-        return;
-      }
+  // Whether a DOM change may have brought supplementary items: nodes that are or hold
+  // items, or changes inside an item (a link rendered late). The players' own
+  // updates (progress text and the like) never count.
+  function affectsItems(record, itemSelector) {
+    const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+    if (!target || target.closest('.svp-video-player-container')) return false;
+    if (target.closest(itemSelector)) return true;
+    return [...record.addedNodes].some(node => node.nodeType === Node.ELEMENT_NODE &&
+      (node.matches(itemSelector) || node.querySelector(itemSelector)));
+  }
 
-      const rawHref = link.getAttribute('href');
-      // Convert relative URL to absolute
-      const href = rawHref.startsWith('/') ? window.location.origin + rawHref : rawHref;
-      // Get description from .core-description
-      const descElement = item.querySelector('.core-description');
-      const description = descElement ? descElement.textContent.trim() : '';
+  function hasRemovedElements(record) {
+    return [...record.removedNodes].some(node => node.nodeType === Node.ELEMENT_NODE);
+  }
 
+  // Debounce for rescans while the page is still rendering, and for the page-wide
+  // check for new supplementary sections
+  const SCAN_DELAY = 300;
 
-      // Check if it's a direct video link
-      if (isVideoLink(href)) {
+  // Add players to the page and keep watching it. Returns a function that stops watching.
+  function watchPage(adapter) {
+    const scanHandler = () => replaceAdapterVideoLinks(adapter);
+    scanHandler();
 
-        // Check if already replaced
-        if (item.querySelector('.svp-video-player-container')) return;
+    // Keep watching: supplementary sections may render long after load (expandable
+    // panels, collapsed sections), and single-page sites swap in other articles
+    let currentArticle = articleKey(window.location.href);
+    let scanTimer = null;
 
-        // Create player
-        const playerContainer = createVideoPlayer(href, description);
+    function scheduleScan() {
+      clearTimeout(scanTimer);
+      scanTimer = setTimeout(scanHandler, SCAN_DELAY);
+    }
 
-        // Insert player after description
-        if (descElement) {
-          descElement.parentNode.insertBefore(playerContainer, descElement.nextSibling);
-        } else {
-          item.insertBefore(playerContainer, linkContainer);
-        }
+    // Client-side navigation to another article: its players belong to the old one
+    function checkNavigation() {
+      const article = articleKey(window.location.href);
+      if (article === currentArticle) return;
+      currentArticle = article;
+      teardownPlayers();
+      classifiedItems = new WeakSet();
+      scheduleScan();
+    }
 
+    // Changes inside the supplementary sections: items rendered, players removed
+    const observer = new MutationObserver((records) => {
+      if (records.some(hasRemovedElements)) {
+        releaseDetachedPlayers();
       }
-      // Check if it's a zipped video
-      else if (isZippedVideo(href, description)) {
-
-        // Check if already processed
-        if (item.querySelector('.svp-video-player-container')) return;
-
-        // Create a player container for zipped video
-        const playerContainer = createZipVideoPlayer(href, description);
-
-        // Insert player after description
-        if (descElement) {
-          descElement.parentNode.insertBefore(playerContainer, descElement.nextSibling);
-        } else {
-          item.insertBefore(playerContainer, linkContainer);
-        }
-
+      if (records.some(record => affectsItems(record, adapter.itemSelector))) {
+        scheduleScan();
       }
     });
-  }
-
-  // Replace video links on APS / Phys Rev journals
-  function replaceAPSVideoLinks() {
-    const suppItems = document.querySelectorAll('.supplemental-file');
-
-    suppItems.forEach((item) => {
-      // Prefer the textual link in the right block; fall back to any video-marked media link.
-      const videoLinks = item.querySelectorAll('a.media-link[data-type="video"]');
-      const link = Array.from(videoLinks).find((el) => el.classList.contains('default-link')) || videoLinks[0];
-      if (!link) {
-        return;
-      }
 
-      const rawHref = link.getAttribute('href');
-      if (!rawHref) {
-        return;
-      }
+    if (!adapter.containerSelector) {
+      observer.observe(document.body, { childList: true, subtree: true });
+    }
 
-      const href = rawHref.startsWith('/') ? window.location.origin + rawHref : rawHref;
-      if (!isVideoLink(href)) {
-        return;
-      }
+    // Elsewhere on the page only sections coming and going matter, checked at most
+    // once per SCAN_DELAY however busy the page is (ads, comment widgets)
+    const containers = new Set();
+    let pageCheckTimer = null;
+
+    function checkContainers() {
+      pageCheckTimer = null;
+      checkNavigation();
+      let changed = false;
+      containers.forEach((container) => {
+        if (container.isConnected) return;
+        containers.delete(container);
+        changed = true;
+      });
+      if (changed) releaseDetachedPlayers();
+      if (!adapter.containerSelector) return;
+
+      document.querySelectorAll(adapter.containerSelector).forEach((container) => {
+        if (containers.has(container)) return;
+        containers.add(container);
+        observer.observe(container, { childList: true, subtree: true });
+        changed = true;
+      });
+      if (changed) scheduleScan();
+    }
 
-      // Avoid duplicate injection on reruns.
-      if (item.querySelector('.svp-video-player-container')) {
-        return;
-      }
+    const pageObserver = new MutationObserver(() => {
+      if (!pageCheckTimer) pageCheckTimer = setTimeout(checkContainers, SCAN_DELAY);
+    });
+    pageObserver.observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+    checkContainers();
 
-      const title = link.textContent.trim() || link.getAttribute('data-id') || 'Supplementary video';
-      const playerContainer = createVideoPlayer(href, '');
+    // history.pushState cannot be seen from a content script, but the Navigation API
+    // reports it (and the DOM changes that come with it are seen above otherwise)
+    window.addEventListener('popstate', checkNavigation);
+    if (window.navigation) {
+      window.navigation.addEventListener('currententrychange', checkNavigation);
+    }
 
-      const rightBlock = item.querySelector('.supplemental-file-right-block');
-      if (rightBlock) {
-        const titleRow = rightBlock.querySelector('a.media-link.default-link');
-        if (titleRow) {
-          titleRow.textContent = title;
-          titleRow.removeAttribute('href');
-        }
-        rightBlock.appendChild(playerContainer);
-      } else {
-        item.appendChild(playerContainer);
+    return () => {
+      clearTimeout(scanTimer);
+      clearTimeout(pageCheckTimer);
+      observer.disconnect();
+      pageObserver.disconnect();
+      window.removeEventListener('popstate', checkNavigation);
+      if (window.navigation) {
+        window.navigation.removeEventListener('currententrychange', checkNavigation);
       }
-    });
+    };
   }
 
   // Initialize
-  function init() {
-
-    // Detect which site we're on and use appropriate handler
-    const hostname = window.location.hostname;
-
-    if (hostname.includes('science.org')) {
-      replaceScienceVideoLinks();
-    } else if (hostname.includes('journals.aps.org')) {
-      replaceAPSVideoLinks();
-    } else {
-      // Nature/Springer
-      replaceVideoLinks();
-    }
-
-    // Debounced observer - only run once after DOM settles
-    let debounceTimer = null;
-    let hasRun = false;
-
-    const scanHandler = hostname.includes('science.org')
-      ? replaceScienceVideoLinks
-      : (hostname.includes('journals.aps.org')
-        ? replaceAPSVideoLinks
-        : replaceVideoLinks);
-
-    const observer = new MutationObserver(() => {
-      // Only run observer callback once, shortly after page load
-      if (hasRun) return;
-
-      clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(() => {
-        scanHandler();
-        hasRun = true;
-        observer.disconnect(); // Stop observing after first debounced run
-      }, 500);
-    });
-
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
+  async function init() {
+
+    // Detect which site we're on and use its adapter
+    const adapter = SVPAdapters.find(window.location.hostname);
+    if (!adapter) return;
+
+    settings = await SVPSettings.load();
+    const enabled = () => SVPSettings.siteEnabled(settings, window.location.hostname);
+    let stopWatching = enabled() ? watchPage(adapter) : null;
+
+    // Settings apply live: new players use the new ones, and switching the site off
+    // on the options page removes its players
+    SVPSettings.watch((next) => {
+      settings = next;
+      if (enabled() && !stopWatching) {
+        stopWatching = watchPage(adapter);
+      } else if (!enabled() && stopWatching) {
+        stopWatching();
+        stopWatching = null;
+        teardownPlayers();
+        classifiedItems = new WeakSet();
+      }
     });
-
   }
 
   // Start when DOM is ready
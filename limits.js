@@ -0,0 +1,137 @@
+// Resource limits for archives and conversions, shared by zip-reader.js (remote ZIP
+// entries inflated in the page), archive.js and offscreen.js. A crafted or broken
+// archive - a "ZIP bomb" - fails with a specific error in the player instead of
+// filling memory and taking the offscreen document down with it.
+// Sizes are formatted with SVPProgress.formatBytes.
+
+(function(root) {
+  'use strict';
+
+  const MB = 1024 * 1024;
+
+  const LIMITS = {
+    // Largest single file read out of an archive, by declared and by actual size
+    maxEntrySize: 2048 * MB,
+    // Files in one archive, nested archives included
+    maxEntries: 10000,
+    // Uncompressed to compressed size; only checked for files above ratioCheckSize,
+    // as small files of blank data legitimately compress very well
+    maxCompressionRatio: 100,
+    ratioCheckSize: 16 * MB,
+    // Decompressed data an opened archive holds in memory (gzip layers, nested archives)
+    maxArchiveMemory: 3072 * MB,
+    // FFmpeg's file system lives in its WASM memory (4GB at most), which has to
+    // hold the input, the output and FFmpeg's own buffers
+    maxConvertInput: 1536 * MB,
+    maxConvertOutput: 1536 * MB
+  };
+
+  function formatBytes(bytes) {
+    return root.SVPProgress.formatBytes(bytes);
+  }
+
+  function baseName(name) {
+    return name.split('/').pop();
+  }
+
+  // size is null when only known to be over the limit
+  function entryTooLargeError(name, size) {
+    const sizeText = size ? formatBytes(size) + '; ' : '';
+    return new Error(`${baseName(name)} is too large to extract (${sizeText}` +
+      `the limit is ${formatBytes(LIMITS.maxEntrySize)})`);
+  }
+
+  function compressionRatioError(name) {
+    return new Error(`${baseName(name)} expands more than ${LIMITS.maxCompressionRatio} times when ` +
+      'decompressed - the archive looks like a ZIP bomb, so it was not extracted');
+  }
+
+  function archiveMemoryError() {
+    return new Error(`Archive expands to more than ${formatBytes(LIMITS.maxArchiveMemory)} - ` +
+      'too large to open in the browser');
+  }
+
+  // For data that turns out larger than the archive's headers said
+  function sizeMismatchError(name) {
+    return new Error(`${baseName(name)} is larger than the archive says - ` +
+      'the archive is corrupt or was crafted to exhaust memory, so it was not extracted');
+  }
+
+  // Throw if an archive entry must not be extracted, by its declared sizes
+  // (compressedSize is 0 when unknown or stored uncompressed)
+  function checkEntry(name, size, compressedSize) {
+    if (size > LIMITS.maxEntrySize) {
+      throw entryTooLargeError(name, size);
+    }
+    if (compressedSize > 0 && size > LIMITS.ratioCheckSize &&
+        size / compressedSize > LIMITS.maxCompressionRatio) {
+      throw compressionRatioError(name);
+    }
+  }
+
+  function checkEntryCount(count) {
+    if (count > LIMITS.maxEntries) {
+      throw new Error(`Archive has too many files (${count}; the limit is ${LIMITS.maxEntries})`);
+    }
+  }
+
+  // Track the decompressed bytes an opened archive keeps in memory
+  function createMemoryBudget() {
+    let used = 0;
+    return {
+      use(bytes) {
+        used += bytes;
+        if (used > LIMITS.maxArchiveMemory) {
+          throw archiveMemoryError();
+        }
+      },
+      remaining() {
+        return LIMITS.maxArchiveMemory - used;
+      }
+    };
+  }
+
+  // Pass bytes through, failing the stream with error() once more than maxBytes pass
+  function limitStream(maxBytes, error) {
+    let total = 0;
+    return new TransformStream({
+      transform(chunk, controller) {
+        total += chunk.length;
+        if (total > maxBytes) {
+          controller.error(error());
+          return;
+        }
+        controller.enqueue(chunk);
+      }
+    });
+  }
+
+  function checkConvertInput(name, size) {
+    if (size > LIMITS.maxConvertInput) {
+      throw new Error(`${baseName(name)} is too large to convert in the browser (${formatBytes(size)}; ` +
+        `the limit is ${formatBytes(LIMITS.maxConvertInput)})`);
+    }
+  }
+
+  // FFmpeg stops writing at maxConvertOutput, so a file that size was cut short
+  function checkConvertOutput(size) {
+    if (size >= LIMITS.maxConvertOutput) {
+      throw new Error(`The converted video would be larger than ${formatBytes(LIMITS.maxConvertOutput)} - ` +
+        'try a lower quality');
+    }
+  }
+
+  root.SVPLimits = {
+    LIMITS,
+    entryTooLargeError,
+    compressionRatioError,
+    archiveMemoryError,
+    sizeMismatchError,
+    checkEntry,
+    checkEntryCount,
+    createMemoryBudget,
+    limitStream,
+    checkConvertInput,
+    checkConvertOutput
+  };
+})(globalThis);
@@ -3,79 +3,61 @@
 let ffmpeg = null;
 let ffmpegLoaded = false;
 let port = null;
+// From the options page, through background (SETTINGS)
+let settings = { cacheSize: SVPBlobStore.cache.DEFAULT_BUDGET };
 
 // Video extensions
 const NATIVE_FORMATS = ['mp4', 'webm', 'ogg', 'm4v'];
 const TRANSCODE_FORMATS = ['avi', 'mkv', 'flv', 'wmv', 'mov'];
 
-// Max message size for port communication (32MB to stay under 64MB limit)
-const MAX_MESSAGE_SIZE = 32 * 1024 * 1024;
-
-// Send result, chunking if necessary
-function sendResult(result) {
-  // Calculate total size of result
-  let totalSize = 0;
-  if (result.base64) {
-    totalSize = result.base64.length;
-  } else if (result.multiple && result.videos) {
-    totalSize = result.videos.reduce((sum, v) => sum + v.base64.length, 0);
-  }
+// Store a result in the shared blob store so the content script can collect it
+async function storeResult(job, data, mimeType) {
+  const blobId = await SVPBlobStore.put(new Blob([data], { type: mimeType }));
+  job.blobIds.push(blobId);
+  return blobId;
+}
 
-  // If small enough, send directly
-  if (totalSize <= MAX_MESSAGE_SIZE) {
-    port.postMessage({ type: 'RESULT', result });
-    return;
+// Hand finished videos ([{ name, mimeType, blob, metadata }]) to the content script:
+// through the persistent cache when the source can be validated, otherwise as one-off
+// transfers. metadata is the probed original, absent for files FFmpeg never saw.
+async function deliverResult(job, videos, multiple, cacheKey, sourceUrl) {
+  if (cacheKey && await SVPBlobStore.cache.put(cacheKey, sourceUrl, multiple, videos, settings.cacheSize)) {
+    return { cacheKey };
   }
 
-  // For multiple videos, serialize the whole result to JSON and chunk it
-  if (result.multiple && result.videos) {
-    const jsonStr = JSON.stringify(result);
-    const totalChunks = Math.ceil(jsonStr.length / MAX_MESSAGE_SIZE);
-
-    port.postMessage({
-      type: 'RESULT_CHUNKED_START',
-      isMultipleVideos: true,
-      totalChunks: totalChunks,
-      totalLength: jsonStr.length
+  const stored = [];
+  for (const video of videos) {
+    stored.push({
+      name: video.name,
+      blobId: await storeResult(job, video.blob, video.mimeType),
+      mimeType: video.mimeType,
+      metadata: video.metadata || null
     });
-
-    for (let i = 0; i < totalChunks; i++) {
-      const start = i * MAX_MESSAGE_SIZE;
-      const end = Math.min(start + MAX_MESSAGE_SIZE, jsonStr.length);
-      const chunk = jsonStr.substring(start, end);
-      port.postMessage({
-        type: 'RESULT_CHUNK',
-        chunkIndex: i,
-        chunk: chunk
-      });
-    }
-
-    port.postMessage({ type: 'RESULT_CHUNKED_END' });
-    return;
   }
 
-  // Single video - chunk the base64 data
-  const totalChunks = Math.ceil(result.base64.length / MAX_MESSAGE_SIZE);
-
-  port.postMessage({
-    type: 'RESULT_CHUNKED_START',
-    mimeType: result.mimeType,
-    totalChunks: totalChunks,
-    totalLength: result.base64.length
-  });
-
-  for (let i = 0; i < totalChunks; i++) {
-    const start = i * MAX_MESSAGE_SIZE;
-    const end = Math.min(start + MAX_MESSAGE_SIZE, result.base64.length);
-    const chunk = result.base64.substring(start, end);
-    port.postMessage({
-      type: 'RESULT_CHUNK',
-      chunkIndex: i,
-      chunk: chunk
-    });
+  if (!multiple) {
+    return { blobId: stored[0].blobId, mimeType: stored[0].mimeType, metadata: stored[0].metadata };
   }
+  return { videos: stored, multiple: true };
+}
+
+// Multithreaded core (@ffmpeg/core-mt). It needs SharedArrayBuffer, so it is only
+// used when this document is cross-origin isolated (COOP/COEP in manifest.json).
+const MT_CORE_PATH = 'ffmpeg/mt/';
+// x264 gains little past this in WASM, and every thread adds memory
+const MAX_FFMPEG_THREADS = 8;
+// Threads passed to FFmpeg; 0 while the single-threaded core is loaded
+let ffmpegThreads = 0;
+let multithreadedCoreFailed = false;
+
+// Leave a core for the page and the rest of the browser
+function ffmpegThreadCount() {
+  return Math.min(Math.max((navigator.hardwareConcurrency || 2) - 1, 1), MAX_FFMPEG_THREADS);
+}
 
-  port.postMessage({ type: 'RESULT_CHUNKED_END' });
+// -threads option for encoding commands
+function threadArgs() {
+  return ffmpegThreads > 0 ? ['-threads', String(ffmpegThreads)] : [];
 }
 
 async function loadFFmpeg() {
@@ -86,453 +68,884 @@ async function loadFFmpeg() {
   }
 
   const { FFmpeg } = FFmpegWASM;
-  ffmpeg = new FFmpeg();
 
+  if (self.crossOriginIsolated && !multithreadedCoreFailed) {
+    ffmpeg = new FFmpeg();
+    try {
+      await ffmpeg.load({
+        coreURL: chrome.runtime.getURL(MT_CORE_PATH + 'ffmpeg-core.js'),
+        wasmURL: chrome.runtime.getURL(MT_CORE_PATH + 'ffmpeg-core.wasm'),
+        workerURL: chrome.runtime.getURL(MT_CORE_PATH + 'ffmpeg-core.worker.js')
+      });
+      ffmpegThreads = ffmpegThreadCount();
+      ffmpegLoaded = true;
+      return ffmpeg;
+    } catch (error) {
+      // Not installed or not loadable here - stay on the single-threaded core from now on
+      console.warn('Multithreaded FFmpeg core failed to load, using the single-threaded core:', error);
+      multithreadedCoreFailed = true;
+      ffmpeg.terminate();
+    }
+  }
+
+  ffmpeg = new FFmpeg();
   await ffmpeg.load({
     coreURL: chrome.runtime.getURL('ffmpeg/ffmpeg-core.js'),
     wasmURL: chrome.runtime.getURL('ffmpeg/ffmpeg-core.wasm'),
   });
 
+  ffmpegThreads = 0;
   ffmpegLoaded = true;
   return ffmpeg;
 }
 
-function getExtension(url) {
-  const match = url.toLowerCase().match(/\.(avi|mkv|flv|wmv|mov|mp4|webm)/);
-  return match ? match[1] : 'avi';
+// Jobs currently running here, by job ID, so they can be cancelled
+const activeJobs = new Map();
+
+// FFmpeg runs one command at a time, and its progress events are not tied to a
+// command, so jobs take turns here while their downloads still run in parallel
+let ffmpegQueue = Promise.resolve();
+let ffmpegOwner = null; // job currently using FFmpeg
+let ffmpegWaiting = 0; // jobs queued for or using FFmpeg
+
+// FFmpeg's WASM memory grows to fit its file system and never shrinks. Once a job
+// has put more than this through it (input plus output), the instance is dropped
+// when no other job waits for it, and the next job loads a fresh one.
+const FFMPEG_MEMORY_BUDGET = 768 * 1024 * 1024;
+let ffmpegUsage = 0; // most bytes a job held in the loaded instance's file system
+
+// Background pauses a job's timeout while it waits here for another job (FFMPEG_WAIT)
+// and restarts it once the job gets FFmpeg (FFMPEG_START)
+function withFFmpeg(job, task) {
+  if (ffmpegWaiting > 0) {
+    send({ type: 'FFMPEG_WAIT', jobId: job.id });
+  }
+  ffmpegWaiting++;
+  const run = ffmpegQueue.then(async () => {
+    job.signal.throwIfAborted();
+    send({ type: 'FFMPEG_START', jobId: job.id });
+    const ff = await loadFFmpeg();
+    ffmpegOwner = job;
+    try {
+      return await task(ff);
+    } finally {
+      if (ffmpegOwner === job) ffmpegOwner = null;
+    }
+  });
+  ffmpegQueue = run.catch(() => {}).then(() => {
+    ffmpegWaiting--;
+    if (ffmpegWaiting === 0 && ffmpegUsage > FFMPEG_MEMORY_BUDGET) {
+      unloadFFmpeg();
+    }
+  });
+  return run;
 }
 
-async function transcodeVideo(videoUrl, tabId) {
-  function reportProgress(status, progress = 0) {
+function noteFFmpegUsage(bytes) {
+  ffmpegUsage = Math.max(ffmpegUsage, bytes);
+}
+
+// Terminate the FFmpeg worker; its memory and virtual FS go with it
+function unloadFFmpeg() {
+  if (!ffmpeg) return;
+  ffmpeg.terminate();
+  ffmpeg = null;
+  ffmpegLoaded = false;
+  ffmpegOwner = null;
+  ffmpegUsage = 0;
+}
+
+// Delete FFmpeg work files, skipping ones never written (or gone with a terminated instance)
+async function deleteFFmpegFiles(ff, names) {
+  for (const name of names) {
+    await ff.deleteFile(name).catch(() => {});
+  }
+}
+
+// Abort a job's downloads and FFmpeg work and delete anything it stored
+function cancelJob(jobId) {
+  const job = activeJobs.get(jobId);
+  if (!job) return;
+
+  job.controller.abort(new Error('Cancelled'));
+
+  // A running exec cannot be interrupted - terminate the worker instead, and the
+  // next job loads a fresh instance
+  if (ffmpegOwner === job) {
+    unloadFFmpeg();
+  }
+
+  discardJobBlobs(job);
+}
+
+function discardJobBlobs(job) {
+  job.blobIds.forEach(id => {
+    SVPBlobStore.remove(id).catch(() => {});
+  });
+  job.blobIds = [];
+}
+
+// Progress messages carry the job ID so background can route them to the right player
+function createProgressReporter(jobId) {
+  return SVPProgress.createTracker((progress) => {
     if (port) {
-      port.postMessage({ type: 'PROGRESS', tabId, status, progress });
+      port.postMessage({ type: 'PROGRESS', jobId, progress });
     }
-  }
+  });
+}
 
-  const ff = await loadFFmpeg();
-  const ext = getExtension(videoUrl);
-  const inputName = `input.${ext}`;
-  const outputName = 'output.mp4';
+// Codecs Chrome plays from an MP4 container, which can be stream-copied instead of re-encoded
+const COPYABLE_VIDEO_CODECS = ['h264', 'vp9', 'av1'];
+const COPYABLE_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'flac'];
+// Chrome only decodes 8-bit 4:2:0 H.264 reliably
+const COPYABLE_PIXEL_FORMATS = ['yuv420p', 'yuvj420p'];
+
+// Re-encoding settings for a quality profile (see profiles.js) - every FFmpeg
+// encoding command gets its codec options from these two functions
+function audioEncodeArgs(profile) {
+  return profile.container === 'webm'
+    ? ['-c:a', 'libopus', '-b:a', profile.audioBitrate]
+    : ['-c:a', 'aac', '-b:a', profile.audioBitrate];
+}
 
-  reportProgress('Downloading video...', 0);
+// FFmpeg stops writing an output at the size limit, before it fills the WASM memory
+function outputLimitArgs() {
+  return ['-fs', String(SVPLimits.LIMITS.maxConvertOutput)];
+}
 
-  const response = await fetch(videoUrl, { credentials: 'include' });
-  if (!response.ok) {
-    throw new Error(`Fetch failed: ${response.status}`);
+function encodeArgs(profile) {
+  // Downscale to maxHeight, never up; widths stay even for 4:2:0
+  const scale = profile.maxHeight ? ['-vf', `scale=-2:'min(${profile.maxHeight},ih)'`] : [];
+  const video = profile.container === 'webm'
+    ? [
+      '-c:v', 'libvpx-vp9',
+      '-deadline', 'realtime',
+      '-cpu-used', String(profile.vp9.cpuUsed),
+      '-crf', String(profile.vp9.crf),
+      '-b:v', '0'
+    ]
+    : [
+      '-c:v', 'libx264',
+      '-preset', profile.x264.preset,
+      '-crf', String(profile.x264.crf)
+    ];
+  return [...scale, ...video, '-pix_fmt', 'yuv420p', ...audioEncodeArgs(profile), ...threadArgs(), ...outputLimitArgs()];
+}
+
+// Progressive output: long re-encodes are split into fragmented MP4 segments that
+// the player appends to a MediaSource while the rest is still converting
+const SEGMENT_SECONDS = 10;
+// Preview: a quick low-resolution encode of the opening seconds, shown while the
+// full conversion runs (skipped for videos not much longer than the preview)
+const PREVIEW_SECONDS = 15;
+const PREVIEW_PROFILE = 'quick';
+const SEGMENT_AUDIO_CODEC = 'mp4a.40.2';
+
+// H.264 codec announced to MediaSource for segments, or null when the output is too
+// large to stream. The size is the one encodeArgs scales to and the level follows from
+// it and the frame rate, as for WebCodecs; x264 is held to that level when encoding.
+function segmentVideoCodec(streams, profile) {
+  const video = streams.video[0];
+  if (!video || !video.width || !video.height) return null;
+  const height = profile.maxHeight ? Math.min(profile.maxHeight, video.height) : video.height;
+  const width = Math.round(video.width * height / video.height / 2) * 2;
+  return SVPWebCodecs.avcCodec(width, height, SVPWebCodecs.frameRate(streams));
+}
+
+// Inspect the input streams by running `ffmpeg -i` without an output and parsing its log
+// Returns { duration (seconds or null), bitrate (kb/s or null),
+//   video: [{ codec, pixelFormat, width, height, fps }], audio: [{ codec }] }
+async function probeStreams(ff, inputName) {
+  const lines = [];
+  const logHandler = ({ message }) => lines.push(message);
+  ff.on('log', logHandler);
+  try {
+    // Exits with an error ("At least one output file must be specified") once the input is described
+    await ff.exec(['-hide_banner', '-i', inputName]);
+  } finally {
+    ff.off('log', logHandler);
   }
 
-  const contentLength = response.headers.get('content-length');
-  const total = parseInt(contentLength, 10) || 0;
-  let loaded = 0;
-  const reader = response.body.getReader();
-  const chunks = [];
+  const streams = { duration: null, bitrate: null, video: [], audio: [] };
+  lines.forEach(line => {
+    if (/Duration: /.test(line)) {
+      const duration = line.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+      if (duration) {
+        streams.duration = Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]);
+      }
+      const bitrate = line.match(/bitrate: (\d+) kb\/s/);
+      if (bitrate) streams.bitrate = Number(bitrate[1]);
+      return;
+    }
 
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    chunks.push(value);
-    loaded += value.length;
-    if (total) {
-      reportProgress('Downloading...', Math.round(loaded / total * 100));
+    const match = line.match(/Stream #\d+:\d+.*?: (Video|Audio): (\w+)(.*)/);
+    if (!match) return;
+    if (match[1] === 'Video') {
+      // Cover art in MP3/M4A shows up as an attached mjpeg/png picture
+      if (/attached pic/.test(match[3])) return;
+      // "h264 (High) (avc1 / 0x31637661), yuv420p(progressive), 1920x1080, ..." - pixel format is the second field
+      const pixelFormat = (match[3].split(',')[1] || '').trim().replace(/\(.*$/, '') || null;
+      const size = match[3].match(/, (\d+)x(\d+)/);
+      const fps = match[3].match(/, ([\d.]+) (?:fps|tbr)/);
+      streams.video.push({
+        codec: match[2],
+        pixelFormat,
+        width: size ? Number(size[1]) : null,
+        height: size ? Number(size[2]) : null,
+        fps: fps ? Number(fps[1]) : null
+      });
+    } else {
+      streams.audio.push({ codec: match[2] });
     }
+  });
+  return streams;
+}
+
+// Metadata shown in the player's info panel, from the original file's streams
+function describeStreams(streams) {
+  const video = streams.video[0] || {};
+  const audio = streams.audio[0] || {};
+  return {
+    duration: streams.duration,
+    width: video.width || null,
+    height: video.height || null,
+    fps: video.fps || null,
+    videoCodec: video.codec || null,
+    audioCodec: audio.codec || null,
+    bitrate: streams.bitrate
+  };
+}
+
+function canStreamCopy(streams) {
+  return streams.video.length > 0 &&
+    streams.video.every(s => COPYABLE_VIDEO_CODECS.includes(s.codec) &&
+      (!s.pixelFormat || COPYABLE_PIXEL_FORMATS.includes(s.pixelFormat))) &&
+    streams.audio.every(s => COPYABLE_AUDIO_CODECS.includes(s.codec));
+}
+
+// Convert an input file in the FFmpeg FS to a browser-playable video in the
+// profile's container (see profiles.js). For MP4 profiles, inputs whose codecs are
+// already playable only get a container change (stream copy), which takes seconds
+// and keeps the original quality; everything else is re-encoded.
+// MP4 re-encodes use WebCodecs when the machine can encode the input that way (see
+// webcodecs.js), and libx264 otherwise; WebM uses libvpx-vp9.
+// onProgress(stage, fraction) receives 'remux' or 'transcode' updates.
+// With onSegment, long MP4 re-encodes are produced in playable segments first (see
+// transcodeInSegments). With onPreview, re-encodes of long videos start with a preview
+// (see makePreview). Resolves { metadata, encoder } with the input's metadata
+// (see describeStreams) and the path taken: 'copy', 'webcodecs', 'libx264' or 'libvpx-vp9'.
+async function convertVideo(ff, inputName, outputName, profile, onProgress, onSegment = null, onPreview = null) {
+  const streams = await probeStreams(ff, inputName);
+  const metadata = describeStreams(streams);
+  const mp4 = profile.container === 'mp4';
+  const softwareEncoder = mp4 ? 'libx264' : 'libvpx-vp9';
+  let stage = mp4 && canStreamCopy(streams) ? 'remux' : 'transcode';
+  // Progressive playback is built on fragmented MP4
+  if (!mp4) onSegment = null;
+
+  if (stage === 'transcode' && onPreview && streams.duration > 2 * PREVIEW_SECONDS) {
+    await makePreview(ff, inputName, outputName, streams.duration, onProgress, onPreview);
   }
 
-  const videoData = new Uint8Array(loaded);
-  let position = 0;
-  for (const chunk of chunks) {
-    videoData.set(chunk, position);
-    position += chunk.length;
+  if (stage === 'transcode' && mp4) {
+    const segmentsSent = await transcodeWithWebCodecs(ff, inputName, outputName, streams, profile, onProgress, onSegment);
+    if (segmentsSent === true) return { metadata, encoder: 'webcodecs' };
+    // Segments the player already has cannot be sent again
+    if (segmentsSent > 0) onSegment = null;
   }
 
-  const progressHandler = ({ progress }) => {
-    reportProgress('Transcoding...', Math.round(progress * 100));
-  };
+  if (stage === 'transcode' && onSegment && streams.duration > 2 * SEGMENT_SECONDS &&
+      segmentVideoCodec(streams, profile)) {
+    await transcodeInSegments(ff, inputName, outputName, streams, profile, onProgress, onSegment);
+    return { metadata, encoder: softwareEncoder };
+  }
+
+  const progressHandler = ({ progress }) => onProgress(stage, progress);
   ff.on('progress', progressHandler);
 
-  reportProgress('Transcoding...', 0);
-  await ff.writeFile(inputName, videoData);
+  try {
+    if (stage === 'remux') {
+      onProgress(stage, 0);
+      const code = await ff.exec([
+        '-i', inputName,
+        '-map', '0:v',
+        '-map', '0:a?',
+        '-c', 'copy',
+        '-movflags', '+faststart',
+        ...outputLimitArgs(),
+        outputName
+      ]);
+      if (code === 0) return { metadata, encoder: 'copy' };
 
-  await ff.exec([
-    '-i', inputName,
-    '-c:v', 'libx264',
-    '-preset', 'ultrafast',
-    '-crf', '28',
-    '-c:a', 'aac',
-    '-b:a', '128k',
-    outputName
-  ]);
+      // Probe was too optimistic (e.g. timestamps MP4 cannot hold) - re-encode instead
+      await ff.deleteFile(outputName).catch(() => {});
+      stage = 'transcode';
+    }
 
-  ff.off('progress', progressHandler);
+    onProgress(stage, 0);
+    await ff.exec(['-i', inputName, ...encodeArgs(profile), outputName]);
+    return { metadata, encoder: softwareEncoder };
+  } finally {
+    ff.off('progress', progressHandler);
+  }
+}
 
-  const data = await ff.readFile(outputName);
-  await ff.deleteFile(inputName);
-  await ff.deleteFile(outputName);
+// Encode the opening PREVIEW_SECONDS small and fast, handing the MP4 to
+// onPreview(data, { duration }). A failed preview does not fail the conversion.
+async function makePreview(ff, inputName, outputName, duration, onProgress, onPreview) {
+  const previewName = `${outputName}.preview.mp4`;
+  // FFmpeg reports progress against the whole input
+  const progressHandler = ({ progress }) => onProgress('preview', progress * duration / PREVIEW_SECONDS);
+  ff.on('progress', progressHandler);
 
-  // Convert to base64 - chunk to avoid stack overflow
-  const chunkSize = 32768;
-  let base64 = '';
-  for (let i = 0; i < data.length; i += chunkSize) {
-    const chunk = data.subarray(i, Math.min(i + chunkSize, data.length));
-    base64 += String.fromCharCode.apply(null, chunk);
+  try {
+    onProgress('preview', 0);
+    const code = await ff.exec([
+      '-t', String(PREVIEW_SECONDS),
+      '-i', inputName,
+      ...encodeArgs(SVPProfiles.get(PREVIEW_PROFILE)),
+      '-movflags', '+faststart',
+      previewName
+    ]);
+    if (code === 0) {
+      await onPreview(await ff.readFile(previewName), { duration: PREVIEW_SECONDS });
+    }
+  } catch (error) {
+    // A cancelled job's FFmpeg is gone
+    if (!ffmpegLoaded) throw error;
+    console.warn('Preview failed:', error);
+  } finally {
+    ff.off('progress', progressHandler);
+    await ff.deleteFile(previewName).catch(() => {});
   }
-  base64 = btoa(base64);
-
-  return { base64, mimeType: 'video/mp4' };
 }
 
-// Convert Uint8Array to base64 in chunks
-function uint8ToBase64(data) {
-  const chunkSize = 32768;
-  let base64 = '';
-  for (let i = 0; i < data.length; i += chunkSize) {
-    const chunk = data.subarray(i, Math.min(i + chunkSize, data.length));
-    base64 += String.fromCharCode.apply(null, chunk);
+// Encode with WebCodecs when supported for this input. Returns true when outputName
+// was written, otherwise the number of segments delivered before falling back.
+async function transcodeWithWebCodecs(ff, inputName, outputName, streams, profile, onProgress, onSegment) {
+  const config = await SVPWebCodecs.supportedConfig(streams, profile);
+  if (!config) return 0;
+
+  let segmentsSent = 0;
+  try {
+    await SVPWebCodecs.transcode(ff, inputName, outputName, {
+      config,
+      streams,
+      audioArgs: audioEncodeArgs(profile),
+      threadArgs: threadArgs(),
+      outputArgs: outputLimitArgs(),
+      segmentSeconds: SEGMENT_SECONDS,
+      onProgress: fraction => onProgress('transcode', fraction),
+      onSegment: onSegment && (async (data, info) => {
+        await onSegment(data, info);
+        segmentsSent++;
+      })
+    });
+    return true;
+  } catch (error) {
+    // A cancelled job's FFmpeg is gone; there is nothing to fall back to
+    if (!ffmpegLoaded) throw error;
+    console.warn('WebCodecs encoding failed, using libx264:', error);
+    await ff.deleteFile(outputName).catch(() => {});
+    return segmentsSent;
   }
-  return btoa(base64);
 }
 
-// Extract video from ZIP file
-async function extractZipVideo(zipUrl, tabId) {
+// Re-encode SEGMENT_SECONDS at a time into fragmented MP4s, handing each one to
+// onSegment(data, info) as soon as it is ready, then join them into outputName
+// for caching. Every segment starts at timestamp 0; info.start tells the player
+// where it belongs.
+async function transcodeInSegments(ff, inputName, outputName, streams, profile, onProgress, onSegment) {
+  const count = Math.ceil(streams.duration / SEGMENT_SECONDS);
+  const videoCodec = segmentVideoCodec(streams, profile);
+  // The codec string ends in the level as hex: 28 is 4.0, 33 is 5.1
+  const level = (parseInt(videoCodec.slice(-2), 16) / 10).toFixed(1);
+  const codecs = streams.audio.length > 0
+    ? `${videoCodec}, ${SEGMENT_AUDIO_CODEC}`
+    : videoCodec;
+  const mimeType = `video/mp4; codecs="${codecs}"`;
+  const segmentNames = [];
+  const listName = `${outputName}.txt`;
+
+  let index = 0;
+  const progressHandler = ({ progress }) => {
+    // The final join reports progress too
+    if (index >= count) return;
+    onProgress('transcode', (index + Math.min(Math.max(progress, 0), 1)) / count);
+  };
+  ff.on('progress', progressHandler);
 
-  function reportProgress(status, progress = 0) {
-    if (port) {
-      port.postMessage({ type: 'PROGRESS', tabId, status, progress });
+  try {
+    onProgress('transcode', 0);
+    for (index = 0; index < count; index++) {
+      const start = index * SEGMENT_SECONDS;
+      const segmentName = `${outputName}.part${index}.mp4`;
+      segmentNames.push(segmentName);
+
+      await ff.exec([
+        '-ss', String(start),
+        '-t', String(SEGMENT_SECONDS),
+        '-i', inputName,
+        ...encodeArgs(profile),
+        '-profile:v', 'high',
+        '-level:v', level,
+        '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+        segmentName
+      ]);
+
+      const data = await ff.readFile(segmentName);
+      await onSegment(data, { index, count, start, duration: streams.duration, mimeType });
     }
+
+    // Join the segments into one regular MP4 (stream copy, fast)
+    await ff.writeFile(listName, segmentNames.map(name => `file '${name}'`).join('\n'));
+    await ff.exec(['-f', 'concat', '-safe', '0', '-i', listName, '-c', 'copy', '-movflags', '+faststart', outputName]);
+  } finally {
+    ff.off('progress', progressHandler);
+    await deleteFFmpegFiles(ff, [listName, ...segmentNames]);
   }
+}
 
-  reportProgress('Downloading ZIP...', 0);
+// Bytes read to describe a natively played video: the headers of WebM files and of
+// MP4s with their index up front (MP4s indexed at the end give nothing)
+const PROBE_BYTES = 2 * 1024 * 1024;
+
+// Probe the start of a video for the player's info panel. Resolves { metadata },
+// null when FFmpeg found no streams there.
+async function probeVideo(videoUrl, job) {
+  const response = await fetch(videoUrl, {
+    credentials: 'include',
+    signal: job.signal,
+    headers: { Range: `bytes=0-${PROBE_BYTES - 1}` }
+  });
+  SVPSniff.checkResponse(response);
+  if (!response.ok) {
+    throw new Error(`Fetch failed: ${response.status}`);
+  }
+  const contentRange = response.headers.get('content-range');
+  const totalSize = contentRange
+    ? parseInt(contentRange.split('/')[1], 10) || null
+    : parseInt(response.headers.get('content-length'), 10) || null;
 
-  // Download the zip file with credentials to include cookies
-  try {
-    const response = await fetch(zipUrl, { credentials: 'include', mode: 'cors' });
-    if (!response.ok) {
-      throw new Error(`Fetch failed: ${response.status}`);
+  // Servers ignoring the range send the whole file; only its start is read
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  while (loaded < PROBE_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+  }
+  reader.cancel().catch(() => {});
+  const header = new Uint8Array(await new Blob(chunks).arrayBuffer()).subarray(0, PROBE_BYTES);
+
+  const inputName = `${job.id}_probe.${getExtension(videoUrl, header)}`;
+  return withFFmpeg(job, async (ff) => {
+    try {
+      await ff.writeFile(inputName, header);
+      const streams = await probeStreams(ff, inputName);
+      if (streams.video.length === 0 && streams.audio.length === 0) {
+        return { metadata: null };
+      }
+      // FFmpeg takes the header for the whole file when it works out the bitrate
+      const metadata = describeStreams(streams);
+      metadata.bitrate = totalSize && streams.duration
+        ? Math.round(totalSize * 8 / streams.duration / 1000)
+        : null;
+      return { metadata };
+    } finally {
+      await deleteFFmpegFiles(ff, [inputName]);
     }
-  } catch (fetchError) {
-    throw fetchError;
+  });
+}
+
+// Extension FFmpeg reads a video under ('mov'): that of the last segment of its URL's
+// path (or of a plain file name) when it is a video format, else what its first bytes
+// look like
+function getExtension(url, bytes) {
+  let fileName = url;
+  try {
+    fileName = new URL(url).pathname;
+  } catch (e) {
+    // An archive entry's name
   }
+  fileName = fileName.split('/').pop().toLowerCase();
+  const dot = fileName.lastIndexOf('.');
+  const ext = dot > 0 ? fileName.slice(dot + 1) : '';
+  if (NATIVE_FORMATS.includes(ext) || TRANSCODE_FORMATS.includes(ext)) return ext;
+  const sniffed = SVPSniff.sniffBytes(bytes.subarray(0, SVPSniff.SNIFF_LENGTH));
+  return sniffed && sniffed.kind === 'video' && sniffed.format ? sniffed.format.slice(1) : 'avi';
+}
+
+// Record how long a conversion took, so the WebCodecs and libx264 paths can be
+// compared (kept by background in chrome.storage.local under 'transcodeBenchmarks')
+function logBenchmark(fileName, size, profileId, encoder, seconds, metadata) {
+  const entry = {
+    file: fileName,
+    size,
+    profile: profileId,
+    encoder,
+    seconds: Math.round(seconds * 10) / 10,
+    // Seconds of video converted per second of work
+    speed: metadata.duration ? Math.round(metadata.duration / seconds * 100) / 100 : null,
+    duration: metadata.duration,
+    width: metadata.width,
+    height: metadata.height,
+    videoCodec: metadata.videoCodec,
+    threads: ffmpegThreads,
+    time: Date.now()
+  };
+  console.info('Conversion benchmark:', entry);
+  send({ type: 'BENCHMARK', entry });
+}
 
-  // Re-fetch since we consumed the response above for logging
-  const response = await fetch(zipUrl, { credentials: 'include', mode: 'cors' });
+// Transcode a video URL with a quality profile (ID, see profiles.js). With progressive
+// set, segments are sent to the player while converting (SEGMENT messages) before
+// the full result; with preview set, a short preview comes first (PREVIEW message).
+async function transcodeVideo(videoUrl, profileId, progressive, preview, job) {
+  const profile = SVPProfiles.get(profileId);
+  const reportProgress = createProgressReporter(job.id);
+
+  const response = await fetch(videoUrl, { credentials: 'include', signal: job.signal });
+  SVPSniff.checkResponse(response);
   if (!response.ok) {
     throw new Error(`Fetch failed: ${response.status}`);
   }
 
   const contentLength = response.headers.get('content-length');
+
+  // Serve from the persistent cache when the source has not changed
+  const cacheUrl = SVPProfiles.cacheUrl(videoUrl, profile.id);
+  const cacheKey = SVPBlobStore.cache.key(cacheUrl, response.headers.get('etag'), contentLength);
+  if (cacheKey && await SVPBlobStore.cache.get(cacheKey)) {
+    response.body.cancel().catch(() => {});
+    return { cacheKey };
+  }
+
+  const fileName = videoUrl.split('/').pop();
   const total = parseInt(contentLength, 10) || 0;
+  if (total) {
+    SVPLimits.checkConvertInput(fileName, total);
+  }
   let loaded = 0;
   const reader = response.body.getReader();
   const chunks = [];
 
+  reportProgress('download', { loaded, total });
   while (true) {
     const { done, value } = await reader.read();
     if (done) break;
     chunks.push(value);
     loaded += value.length;
-    if (total) {
-      reportProgress('Downloading ZIP...', Math.round(loaded / total * 100));
+    // Servers without Content-Length are stopped once the file is too large
+    if (loaded > SVPLimits.LIMITS.maxConvertInput) {
+      reader.cancel().catch(() => {});
+      SVPLimits.checkConvertInput(fileName, loaded);
     }
+    reportProgress('download', { loaded, total });
   }
 
-  const zipData = new Uint8Array(loaded);
+  const videoData = new Uint8Array(loaded);
   let position = 0;
   for (const chunk of chunks) {
-    zipData.set(chunk, position);
+    videoData.set(chunk, position);
     position += chunk.length;
   }
 
-  reportProgress('Extracting ZIP...', 0);
-
-  // Extract the zip
-  const zip = await JSZip.loadAsync(zipData);
-
-  // Find video files in the zip
-  const allFormats = [...NATIVE_FORMATS, ...TRANSCODE_FORMATS];
-  let videoFile = null;
-  let videoFileName = null;
-
-  for (const fileName of Object.keys(zip.files)) {
-    const lowerName = fileName.toLowerCase();
-    // Skip directories and hidden files
-    if (zip.files[fileName].dir || lowerName.startsWith('__macosx') || lowerName.startsWith('.')) {
-      continue;
-    }
-    for (const ext of allFormats) {
-      if (lowerName.endsWith('.' + ext)) {
-        videoFile = zip.files[fileName];
-        videoFileName = fileName;
-        break;
-      }
-    }
-    if (videoFile) break;
+  // A login or paywall page served as a file would only confuse FFmpeg
+  const sniffed = SVPSniff.sniffBytes(videoData.subarray(0, SVPSniff.SNIFF_LENGTH));
+  if (sniffed && sniffed.kind === 'html') {
+    throw SVPSniff.accessDeniedError();
   }
+  const ext = getExtension(videoUrl, videoData);
 
-  if (!videoFile) {
-    throw new Error('No video file found in ZIP');
-  }
-
-  reportProgress('Extracting video...', 50);
-
-  const videoData = await videoFile.async('uint8array');
-  const ext = videoFileName.split('.').pop().toLowerCase();
-
-  reportProgress('Processing...', 75);
-
-  // Check if native format or needs transcoding
-  if (NATIVE_FORMATS.includes(ext)) {
-    // Can play directly
-    const mimeTypes = {
-      'mp4': 'video/mp4',
-      'webm': 'video/webm',
-      'ogg': 'video/ogg',
-      'm4v': 'video/mp4'
-    };
-    return {
-      base64: uint8ToBase64(videoData),
-      mimeType: mimeTypes[ext] || 'video/mp4',
-      needsTranscode: false
-    };
-  } else {
-    // Needs transcoding - do it here
-    reportProgress('Transcoding video...', 0);
-
-    const ff = await loadFFmpeg();
-    const inputName = `input.${ext}`;
-    const outputName = 'output.mp4';
-
-    const progressHandler = ({ progress }) => {
-      reportProgress('Transcoding...', Math.round(progress * 100));
-    };
-    ff.on('progress', progressHandler);
+  const { blob, metadata } = await transcodeData(job, videoData, fileName, ext, profile, reportProgress, { progressive, preview });
+  const video = { name: fileName, mimeType: blob.type, blob, metadata };
+  return deliverResult(job, [video], false, cacheKey, cacheUrl);
+}
 
-    await ff.writeFile(inputName, videoData);
+// Transcode a single file the content script placed in the blob store, such as
+// one entry read from a remote ZIP. cacheSource identifies it in the cache (its
+// URL already tells profiles apart, see SVPProfiles.cacheUrl).
+async function transcodeFromData(transferId, fileName, cacheSource, profileId, job) {
+  const reportProgress = createProgressReporter(job.id);
+
+  reportProgress('transfer');
+  // Read, not taken: background removes the input when the job is over, so a job
+  // interrupted by a crash can run again
+  const blob = await SVPBlobStore.get(transferId);
+  if (!blob) {
+    throw new Error('Transfer not found: ' + transferId);
+  }
+  SVPLimits.checkConvertInput(fileName, blob.size);
+  const videoData = new Uint8Array(await blob.arrayBuffer());
+
+  const { blob: output, metadata } = await transcodeData(job, videoData, fileName, getExtension(fileName, videoData),
+    SVPProfiles.get(profileId), reportProgress);
+  const video = { name: fileName, mimeType: output.type, blob: output, metadata };
+  const cacheKey = cacheSource
+    ? SVPBlobStore.cache.key(cacheSource.url, cacheSource.etag, cacheSource.contentLength)
+    : null;
+  return deliverResult(job, [video], false, cacheKey, cacheSource && cacheSource.url);
+}
 
-    await ff.exec([
-      '-i', inputName,
-      '-c:v', 'libx264',
-      '-preset', 'ultrafast',
-      '-crf', '28',
-      '-c:a', 'aac',
-      '-b:a', '128k',
-      outputName
-    ]);
+// Convert video bytes with FFmpeg for a quality profile. Resolves { blob, metadata }
+// with the converted video and the input's metadata. fileName labels the benchmark entry.
+// live.progressive and live.preview send SEGMENT and PREVIEW messages along the way.
+async function transcodeData(job, videoData, fileName, ext, profile, reportProgress, live = {}) {
+  const inputName = `${job.id}_input.${ext}`;
+  const outputName = `${job.id}_output.${profile.container}`;
 
-    ff.off('progress', progressHandler);
+  reportProgress('queued');
 
-    const data = await ff.readFile(outputName);
-    await ff.deleteFile(inputName);
-    await ff.deleteFile(outputName);
+  SVPLimits.checkConvertInput(fileName, videoData.length);
+  return withFFmpeg(job, async (ff) => {
+    try {
+      noteFFmpegUsage(videoData.length);
+      await ff.writeFile(inputName, videoData);
 
-    return {
-      base64: uint8ToBase64(data),
-      mimeType: 'video/mp4',
-      needsTranscode: false  // Already transcoded
-    };
-  }
+      const onSegment = live.progressive
+        ? async (segmentData, info) => {
+          const blobId = await storeResult(job, segmentData, 'video/mp4');
+          send({ type: 'SEGMENT', jobId: job.id, segment: { ...info, blobId } });
+        }
+        : null;
+      const onPreview = live.preview
+        ? async (previewData, info) => {
+          const blobId = await storeResult(job, previewData, 'video/mp4');
+          send({ type: 'PREVIEW', jobId: job.id, preview: { ...info, blobId } });
+        }
+        : null;
+
+      const started = performance.now();
+      const { metadata, encoder } = await convertVideo(ff, inputName, outputName, profile, (stage, fraction) => {
+        reportProgress(stage, { fraction });
+      }, onSegment, onPreview);
+      logBenchmark(fileName, videoData.length, profile.id, encoder, (performance.now() - started) / 1000, metadata);
+
+      reportProgress('finalize');
+      const output = await ff.readFile(outputName);
+      noteFFmpegUsage(videoData.length + output.length);
+      SVPLimits.checkConvertOutput(output.length);
+      return { blob: new Blob([output], { type: profile.mimeType }), metadata };
+    } finally {
+      await deleteFFmpegFiles(ff, [inputName, outputName]);
+    }
+  });
 }
 
-// Extract video from ZIP data (base64 encoded, already downloaded by content script)
-async function extractZipFromData(zipBase64, tabId) {
-
-  function reportProgress(status, progress = 0) {
-    if (port) {
-      port.postMessage({ type: 'PROGRESS', tabId, status, progress });
-    }
+// Archives (ZIP, tar, gzip - see archive.js) the content script downloaded into the
+// blob store, by archive ID (the transfer ID). The archive stays in the store until
+// the content script has all the entries it wants; opened archives are kept for the
+// latest few only.
+const MAX_OPEN_ARCHIVES = 2;
+const openArchives = new Map(); // archiveId -> Promise of SVPArchive
+
+const VIDEO_MIME_TYPES = {
+  'mp4': 'video/mp4',
+  'webm': 'video/webm',
+  'ogg': 'video/ogg',
+  'm4v': 'video/mp4'
+};
+
+// archiveName is the downloaded file's name, for formats without a signature
+function openArchive(archiveId, archiveName) {
+  let archivePromise = openArchives.get(archiveId);
+  if (archivePromise) {
+    // Mark as most recently used
+    openArchives.delete(archiveId);
+    openArchives.set(archiveId, archivePromise);
+    return archivePromise;
   }
 
-  reportProgress('Processing ZIP data...', 0);
+  archivePromise = SVPBlobStore.get(archiveId).then(archiveBlob => {
+    if (!archiveBlob) {
+      throw new Error('Archive is no longer available, please reload the page');
+    }
+    return SVPArchive.open(archiveBlob, archiveName);
+  });
+  archivePromise.catch(() => openArchives.delete(archiveId));
 
-  // Convert base64 to Uint8Array
-  const binaryString = atob(zipBase64);
-  const zipData = new Uint8Array(binaryString.length);
-  for (let i = 0; i < binaryString.length; i++) {
-    zipData[i] = binaryString.charCodeAt(i);
+  openArchives.set(archiveId, archivePromise);
+  while (openArchives.size > MAX_OPEN_ARCHIVES) {
+    openArchives.delete(openArchives.keys().next().value);
   }
+  return archivePromise;
+}
 
+// List the files in an archive the content script placed in the blob store, without
+// extracting them. Resolves { archiveId, entries, files } where entries are the videos
+// as [{ name, size, format }] and files everything else as [{ name, size }].
+async function listArchiveFromData(transferId, archiveName, job) {
+  const reportProgress = createProgressReporter(job.id);
 
-  reportProgress('Extracting ZIP...', 0);
-
-  // Extract the zip
-  const zip = await JSZip.loadAsync(zipData);
+  reportProgress('extract', { detail: 'file list' });
+  const archive = await openArchive(transferId, archiveName);
+  job.signal.throwIfAborted();
 
-  // Find ALL video files in the zip
+  // Find ALL video files, including those in nested archives
   const allFormats = [...NATIVE_FORMATS, ...TRANSCODE_FORMATS];
-  const videoFiles = [];
-
-  for (const fileName of Object.keys(zip.files)) {
-    const lowerName = fileName.toLowerCase();
-    // Skip directories and hidden files
-    if (zip.files[fileName].dir || lowerName.startsWith('__macosx') || lowerName.startsWith('.')) {
-      continue;
-    }
-    for (const ext of allFormats) {
-      if (lowerName.endsWith('.' + ext)) {
-        videoFiles.push({ file: zip.files[fileName], name: fileName });
-        break;
-      }
+  const entries = [];
+  const files = [];
+
+  for (const file of archive.files) {
+    const lowerName = file.name.toLowerCase();
+    const format = allFormats.find(ext => lowerName.endsWith('.' + ext));
+    if (format) {
+      entries.push({ name: file.name, size: file.size, format });
+    } else {
+      files.push({ name: file.name, size: file.size });
     }
   }
 
-  if (videoFiles.length === 0) {
-    throw new Error('No video file found in ZIP');
+  if (entries.length === 0 && files.length === 0) {
+    throw new Error('Archive is empty');
   }
 
   // Sort by filename for consistent ordering
-  videoFiles.sort((a, b) => a.name.localeCompare(b.name));
-
-
-  const mimeTypes = {
-    'mp4': 'video/mp4',
-    'webm': 'video/webm',
-    'ogg': 'video/ogg',
-    'm4v': 'video/mp4'
-  };
+  entries.sort((a, b) => a.name.localeCompare(b.name));
 
-  const results = [];
-
-  for (let i = 0; i < videoFiles.length; i++) {
-    const { file: videoFile, name: videoFileName } = videoFiles[i];
-    reportProgress(`Extracting video ${i + 1}/${videoFiles.length}...`, Math.round((i / videoFiles.length) * 100));
-
-    const videoData = await videoFile.async('uint8array');
-    const ext = videoFileName.split('.').pop().toLowerCase();
-
-    // Check if native format or needs transcoding
-    if (NATIVE_FORMATS.includes(ext)) {
-      // Can play directly
-      results.push({
-        name: videoFileName,
-        base64: uint8ToBase64(videoData),
-        mimeType: mimeTypes[ext] || 'video/mp4'
-      });
-    } else {
-      // Needs transcoding
-      reportProgress(`Transcoding video ${i + 1}/${videoFiles.length}...`, 0);
-
-      const ff = await loadFFmpeg();
-      const inputName = `input_${i}.${ext}`;
-      const outputName = `output_${i}.mp4`;
-
-      const progressHandler = ({ progress }) => {
-        const baseProgress = (i / videoFiles.length) * 100;
-        const videoProgress = (progress * 100) / videoFiles.length;
-        reportProgress(`Transcoding video ${i + 1}/${videoFiles.length}...`, Math.round(baseProgress + videoProgress));
-      };
-      ff.on('progress', progressHandler);
-
-      await ff.writeFile(inputName, videoData);
-
-      await ff.exec([
-        '-i', inputName,
-        '-c:v', 'libx264',
-        '-preset', 'ultrafast',
-        '-crf', '28',
-        '-c:a', 'aac',
-        '-b:a', '128k',
-        outputName
-      ]);
+  files.sort((a, b) => a.name.localeCompare(b.name));
 
-      ff.off('progress', progressHandler);
+  return { archiveId: transferId, entries, files };
+}
 
-      const data = await ff.readFile(outputName);
-      await ff.deleteFile(inputName);
-      await ff.deleteFile(outputName);
+// Extract one video from a listed archive, transcoding it when the browser cannot play it.
+// cacheSource is { url, etag, contentLength } identifying the entry in the cache, and
+// profileId the quality profile for conversions.
+// With raw set, any file is returned as stored (for previews and downloads) and not cached.
+async function extractArchiveEntry(archiveId, archiveName, entryName, cacheSource, profileId, raw, job) {
+  const reportProgress = createProgressReporter(job.id);
+  const fileName = entryName.split('/').pop();
+
+  reportProgress('extract', { detail: fileName });
+  const archive = await openArchive(archiveId, archiveName);
+  const blob = await archive.read(entryName);
+  job.signal.throwIfAborted();
+
+  if (raw) {
+    return deliverResult(job, [{ name: entryName, mimeType: blob.type, blob }], false, null, null);
+  }
 
-      results.push({
-        name: videoFileName,
-        base64: uint8ToBase64(data),
-        mimeType: 'video/mp4'
-      });
-    }
+  const ext = entryName.split('.').pop().toLowerCase();
+  let video;
+  if (NATIVE_FORMATS.includes(ext)) {
+    // Can play directly
+    const mimeType = VIDEO_MIME_TYPES[ext] || 'video/mp4';
+    video = { name: entryName, mimeType, blob: new Blob([blob], { type: mimeType }) };
+  } else {
+    SVPLimits.checkConvertInput(fileName, blob.size);
+    const videoData = new Uint8Array(await blob.arrayBuffer());
+    const { blob: output, metadata } = await transcodeData(job, videoData, fileName, ext,
+      SVPProfiles.get(profileId), reportProgress);
+    video = { name: entryName, mimeType: output.type, blob: output, metadata };
   }
 
-  reportProgress('Done!', 100);
+  reportProgress('finalize', { fraction: 1 });
+  const cacheKey = cacheSource
+    ? SVPBlobStore.cache.key(cacheSource.url, cacheSource.etag, cacheSource.contentLength)
+    : null;
+  return deliverResult(job, [video], false, cacheKey, cacheSource && cacheSource.url);
+}
 
-  // Return single video for backward compatibility, or array for multiple
-  if (results.length === 1) {
-    return {
-      base64: results[0].base64,
-      mimeType: results[0].mimeType,
-      needsTranscode: false
-    };
+// Messages for background sent while the port is down (the service worker was
+// suspended); progress is not worth keeping
+const RECONNECT_DELAY = 1000;
+let pendingMessages = [];
+
+function send(message) {
+  if (port) {
+    port.postMessage(message);
   } else {
-    return {
-      videos: results,
-      multiple: true
-    };
+    pendingMessages.push(message);
   }
 }
 
-// Connect to background via port
-port = chrome.runtime.connect({ name: 'offscreen' });
-
-// Storage for chunked input from background
-let chunkedInput = null;
+// Run a job and report its result, tagged with the job ID
+function runJob(jobId, task) {
+  const controller = new AbortController();
+  const job = { id: jobId, controller, signal: controller.signal, blobIds: [] };
+  activeJobs.set(jobId, job);
+
+  task(job)
+    .then(result => {
+      job.signal.throwIfAborted();
+      send({ type: 'RESULT', jobId, result });
+    })
+    .catch(error => {
+      discardJobBlobs(job);
+      // Background already settled cancelled jobs
+      if (job.signal.aborted) return;
+      send({ type: 'RESULT', jobId, error: error.message || String(error) });
+    })
+    .finally(() => {
+      activeJobs.delete(jobId);
+    });
+}
 
-port.onMessage.addListener((message) => {
+function handleMessage(message) {
   if (message.type === 'TRANSCODE') {
-    transcodeVideo(message.videoUrl, message.tabId)
-      .then(result => {
-        sendResult(result);
-      })
-      .catch(error => {
-        port.postMessage({ type: 'RESULT', error: error.message || String(error) });
-      });
+    runJob(message.jobId, (job) => transcodeVideo(message.videoUrl, message.profile, message.progressive, message.preview, job));
   }
 
-  if (message.type === 'EXTRACT_ZIP') {
-    extractZipVideo(message.zipUrl, message.tabId)
-      .then(result => {
-        sendResult(result);
-      })
-      .catch(error => {
-        port.postMessage({ type: 'RESULT', error: error.message || String(error) });
-      });
+  if (message.type === 'TRANSCODE_DATA') {
+    runJob(message.jobId, (job) => transcodeFromData(message.transferId, message.fileName, message.cacheSource, message.profile, job));
   }
 
   if (message.type === 'EXTRACT_ZIP_DATA') {
-    extractZipFromData(message.zipBase64, message.tabId)
-      .then(result => {
-        sendResult(result);
-      })
-      .catch(error => {
-        port.postMessage({ type: 'RESULT', error: error.message || String(error) });
-      });
+    runJob(message.jobId, (job) => listArchiveFromData(message.transferId, message.archiveName, job));
   }
 
-  // Handle chunked input from background
-  if (message.type === 'EXTRACT_ZIP_DATA_START') {
-    chunkedInput = {
-      totalChunks: message.totalChunks,
-      chunks: [],
-      received: 0,
-      tabId: message.tabId
-    };
+  if (message.type === 'EXTRACT_ZIP_ENTRY') {
+    runJob(message.jobId, (job) => extractArchiveEntry(message.archiveId, message.archiveName, message.entryName, message.cacheSource, message.profile, message.raw, job));
   }
 
-  if (message.type === 'EXTRACT_ZIP_DATA_CHUNK' && chunkedInput) {
-    chunkedInput.chunks[message.chunkIndex] = message.chunk;
-    chunkedInput.received++;
+  if (message.type === 'PROBE') {
+    runJob(message.jobId, (job) => probeVideo(message.videoUrl, job));
   }
 
-  if (message.type === 'EXTRACT_ZIP_DATA_END' && chunkedInput) {
-    const zipBase64 = chunkedInput.chunks.join('');
-    const tabId = chunkedInput.tabId;
-    chunkedInput = null;
+  if (message.type === 'CANCEL') {
+    cancelJob(message.jobId);
+  }
 
-    extractZipFromData(zipBase64, tabId)
-      .then(result => {
-        sendResult(result);
-      })
-      .catch(error => {
-        port.postMessage({ type: 'RESULT', error: error.message || String(error) });
-      });
+  // Sent on every connect and whenever the options change; a smaller cache takes
+  // effect right away
+  if (message.type === 'SETTINGS') {
+    settings = message.settings;
+    SVPBlobStore.cache.evict(settings.cacheSize).catch(() => {});
+  }
+
+  // Background is closing this idle document
+  if (message.type === 'CLOSING') {
+    closing = true;
   }
-});
+}
+
+// Connect to background via port. The port closes whenever the service worker is
+// suspended or restarted; reconnecting wakes it up again, and READY tells it which
+// jobs are still running here.
+let closing = false;
+
+function connect() {
+  port = chrome.runtime.connect({ name: 'offscreen' });
+  port.onMessage.addListener(handleMessage);
+  port.onDisconnect.addListener(() => {
+    port = null;
+    if (!closing) {
+      setTimeout(connect, RECONNECT_DELAY);
+    }
+  });
+
+  port.postMessage({ type: 'READY', jobIds: [...activeJobs.keys()] });
+  const pending = pendingMessages;
+  pendingMessages = [];
+  pending.forEach(message => port.postMessage(message));
+}
 
-port.onDisconnect.addListener(() => {
-  port = null;
-});
+connect();
 
-port.postMessage({ type: 'READY' });
+// Drop transfers left behind by closed tabs or failed jobs. Archives that open players
+// still read from are touched by their page every ARCHIVE_KEEP_INTERVAL (content.js).
+SVPBlobStore.sweep(60 * 60 * 1000).catch(() => {});
 
@@ -0,0 +1,120 @@
+// Options page - edits the settings in settings.js; content scripts and the offscreen
+// document pick up changes without a reload
+
+(function() {
+  'use strict';
+
+  const MB = 1024 * 1024;
+  const SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+  const CONCURRENT_JOBS = [1, 2, 3, 4];
+  // Settings stored in bytes but shown in MB
+  const SIZE_FIELDS = ['autoTranscodeMaxSize', 'autoExtractMaxSize', 'cacheSize'];
+  const CHECKBOX_FIELDS = ['autoplay', 'muted', 'loop'];
+
+  const status = document.getElementById('status');
+  let statusTimer = null;
+
+  function showStatus(text) {
+    status.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => { status.textContent = ''; }, 2000);
+  }
+
+  function save(changes) {
+    SVPSettings.save(changes)
+      .then(() => showStatus('Saved'))
+      .catch(error => showStatus('Could not save: ' + error.message));
+  }
+
+  function addOption(select, value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  }
+
+  function showCacheUsage() {
+    const usage = document.getElementById('cacheUsage');
+    SVPBlobStore.cache.usage()
+      .then(({ entries, bytes }) => {
+        usage.textContent = entries === 1
+          ? `1 video, ${SVPProgress.formatBytes(bytes)}`
+          : `${entries} videos, ${SVPProgress.formatBytes(bytes)}`;
+      })
+      .catch(() => { usage.textContent = 'Cache unavailable'; });
+  }
+
+  function setUpPlayback(settings) {
+    const speed = document.getElementById('playbackSpeed');
+    SPEEDS.forEach(rate => addOption(speed, rate, rate + 'x'));
+    speed.value = settings.playbackSpeed;
+    speed.addEventListener('change', () => save({ playbackSpeed: parseFloat(speed.value) }));
+
+    CHECKBOX_FIELDS.forEach(field => {
+      const checkbox = document.getElementById(field);
+      checkbox.checked = settings[field];
+      checkbox.addEventListener('change', () => save({ [field]: checkbox.checked }));
+    });
+  }
+
+  function setUpConversion(settings) {
+    const profile = document.getElementById('transcodeProfile');
+    SVPProfiles.list().forEach(p => addOption(profile, p.id, p.label));
+    profile.value = SVPProfiles.get(settings.transcodeProfile).id;
+    profile.addEventListener('change', () => save({ transcodeProfile: profile.value }));
+
+    const concurrency = document.getElementById('maxConcurrentJobs');
+    CONCURRENT_JOBS.forEach(count => addOption(concurrency, count, count));
+    concurrency.value = settings.maxConcurrentJobs;
+    concurrency.addEventListener('change', () => save({ maxConcurrentJobs: parseInt(concurrency.value, 10) }));
+
+    SIZE_FIELDS.forEach(field => {
+      const input = document.getElementById(field);
+      input.value = Math.round(settings[field] / MB);
+      input.addEventListener('change', () => {
+        const mb = Math.max(0, Math.round(Number(input.value) || 0));
+        input.value = mb;
+        save({ [field]: mb * MB });
+      });
+    });
+  }
+
+  function setUpCache() {
+    showCacheUsage();
+    document.getElementById('clearCache').addEventListener('click', () => {
+      SVPBlobStore.cache.clear()
+        .then(() => showStatus('Cache cleared'))
+        .catch(error => showStatus('Could not clear the cache: ' + error.message))
+        .finally(showCacheUsage);
+    });
+  }
+
+  // One checkbox per adapter, covering all of its hosts
+  function setUpSites(settings) {
+    const sites = document.getElementById('sites');
+    SVPAdapters.all().forEach(adapter => {
+      const label = document.createElement('label');
+      label.className = 'svp-option';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = adapter.hosts.every(host => !settings.disabledHosts.includes(host));
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${adapter.name} (${adapter.hosts.join(', ')})`));
+      sites.appendChild(label);
+
+      checkbox.addEventListener('change', () => {
+        SVPSettings.load().then((current) => {
+          const others = current.disabledHosts.filter(host => !adapter.hosts.includes(host));
+          save({ disabledHosts: checkbox.checked ? others : others.concat(adapter.hosts) });
+        });
+      });
+    });
+  }
+
+  SVPSettings.load().then((settings) => {
+    setUpPlayback(settings);
+    setUpConversion(settings);
+    setUpCache();
+    setUpSites(settings);
+  });
+})();
@@ -0,0 +1,70 @@
+// Conversion quality profiles shared by content.js (the per-player menu) and
+// offscreen.js (which turns them into FFmpeg and WebCodecs settings in encodeArgs)
+
+(function(root) {
+  'use strict';
+
+  const PROFILES = {
+    quick: {
+      label: 'Quick preview',
+      description: 'Fastest, scaled down to 480p',
+      container: 'mp4',
+      maxHeight: 480,
+      x264: { preset: 'ultrafast', crf: 32 },
+      audioBitrate: '96k',
+      // WebCodecs bitrate per pixel and frame
+      bitsPerPixel: 0.06
+    },
+    balanced: {
+      label: 'Balanced',
+      description: 'Full resolution, fast conversion',
+      container: 'mp4',
+      maxHeight: null,
+      x264: { preset: 'ultrafast', crf: 28 },
+      audioBitrate: '128k',
+      bitsPerPixel: 0.1
+    },
+    high: {
+      label: 'High fidelity',
+      description: 'Near-lossless, keeps fine detail - slow and large',
+      container: 'mp4',
+      maxHeight: null,
+      x264: { preset: 'veryfast', crf: 16 },
+      audioBitrate: '192k',
+      bitsPerPixel: 0.3
+    },
+    webm: {
+      label: 'WebM (VP9)',
+      description: 'VP9 and Opus in WebM - smaller files, slower conversion',
+      container: 'webm',
+      maxHeight: null,
+      vp9: { crf: 32, cpuUsed: 8 },
+      audioBitrate: '128k'
+    }
+  };
+
+  const DEFAULT_PROFILE = 'balanced';
+
+  const CONTAINER_MIME_TYPES = {
+    mp4: 'video/mp4',
+    webm: 'video/webm'
+  };
+
+  // Profile by ID as { id, label, ... }; unknown IDs get the default
+  function get(id) {
+    const key = PROFILES[id] ? id : DEFAULT_PROFILE;
+    return { id: key, ...PROFILES[key], mimeType: CONTAINER_MIME_TYPES[PROFILES[key].container] };
+  }
+
+  function list() {
+    return Object.keys(PROFILES).map(get);
+  }
+
+  // URL a converted video is cached under: each profile's output is kept apart,
+  // and the default profile keeps the plain URL so existing entries stay valid
+  function cacheUrl(url, id) {
+    return !PROFILES[id] || id === DEFAULT_PROFILE ? url : url + '#svp-profile=' + id;
+  }
+
+  root.SVPProfiles = { DEFAULT_PROFILE, get, list, cacheUrl };
+})(globalThis);
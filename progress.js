@@ -0,0 +1,101 @@
+// Progress model shared by content.js and offscreen.js
+// A progress update is { stage, percent, loaded, total, eta, detail }:
+//   stage   - queued | download | transfer | extract | remux | preview | transcode | finalize
+//   percent - 0-100, or null when unknown
+//   loaded/total - bytes, when the stage moves bytes
+//   eta     - estimated seconds left in the stage, or null
+//   detail  - extra label such as 'video 2/5'
+
+(function(root) {
+  'use strict';
+
+  const STAGE_LABELS = {
+    queued: 'Waiting for converter',
+    download: 'Downloading',
+    transfer: 'Transferring',
+    extract: 'Extracting',
+    remux: 'Remuxing',
+    preview: 'Making preview',
+    transcode: 'Transcoding',
+    finalize: 'Finalizing'
+  };
+
+  // Minimum time between updates within a stage, to keep message traffic down
+  const THROTTLE_MS = 250;
+
+  // Returns report(stage, { loaded, total, fraction, detail }) which computes
+  // percent and ETA and passes throttled updates to emit(progress)
+  function createTracker(emit) {
+    let stage = null;
+    let stageStart = 0;
+    let lastEmit = 0;
+
+    return function report(nextStage, { loaded = null, total = null, fraction = null, detail = '' } = {}) {
+      const now = Date.now();
+      const stageChanged = nextStage !== stage;
+      if (stageChanged) {
+        stage = nextStage;
+        stageStart = now;
+      }
+
+      if (fraction === null && loaded !== null && total) {
+        fraction = loaded / total;
+      }
+      if (fraction !== null) {
+        fraction = Math.min(Math.max(fraction, 0), 1);
+      }
+
+      const finished = fraction === 1;
+      if (!stageChanged && !finished && now - lastEmit < THROTTLE_MS) return;
+      lastEmit = now;
+
+      const elapsed = (now - stageStart) / 1000;
+      const eta = fraction !== null && fraction > 0.01 && !finished && elapsed > 1
+        ? Math.round(elapsed * (1 - fraction) / fraction)
+        : null;
+
+      emit({
+        stage,
+        percent: fraction === null ? null : Math.round(fraction * 100),
+        loaded,
+        total,
+        eta,
+        detail
+      });
+    };
+  }
+
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return (bytes / (1024 * 1024 * 1024)).toFixed(1) + ' GB';
+    if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    if (bytes >= 1024) return Math.round(bytes / 1024) + ' KB';
+    return bytes + ' B';
+  }
+
+  function formatDuration(seconds) {
+    if (seconds < 60) return seconds + 's';
+    const minutes = Math.floor(seconds / 60);
+    return minutes + 'm ' + (seconds % 60) + 's';
+  }
+
+  // Status line for a progress update, e.g. "Downloading... 40% (12.0 MB / 30.0 MB, ~20s left)"
+  function format(progress) {
+    let text = STAGE_LABELS[progress.stage] || progress.stage;
+    if (progress.detail) text += ' ' + progress.detail;
+    text += '...';
+    if (progress.percent !== null) text += ' ' + progress.percent + '%';
+
+    const extras = [];
+    if (progress.loaded !== null) {
+      extras.push(progress.total ? formatBytes(progress.loaded) + ' / ' + formatBytes(progress.total) : formatBytes(progress.loaded));
+    }
+    if (progress.eta !== null) {
+      extras.push('~' + formatDuration(progress.eta) + ' left');
+    }
+    if (extras.length > 0) text += ' (' + extras.join(', ') + ')';
+
+    return text;
+  }
+
+  root.SVPProgress = { createTracker, format, formatBytes };
+})(globalThis);
@@ -0,0 +1,59 @@
+// User settings from the options page, kept in chrome.storage.sync with one key per
+// setting. Read by content.js, background.js and options.js; the offscreen document
+// has no storage access and gets them from background (SETTINGS messages).
+
+(function(root) {
+  'use strict';
+
+  const MB = 1024 * 1024;
+
+  const DEFAULTS = {
+    // Applied to every new player
+    playbackSpeed: 1,
+    autoplay: false,
+    muted: false,
+    loop: false,
+    // Conversions and archive extractions start without a click for files up to
+    // these sizes in bytes; 0 always waits for a click
+    autoTranscodeMaxSize: 0,
+    autoExtractMaxSize: 0,
+    // Conversions and extractions sent to the converter at once; they still take
+    // turns with FFmpeg, but downloads and archive reads overlap
+    maxConcurrentJobs: 2,
+    // Quality profile for new conversions (SVPProfiles.DEFAULT_PROFILE until chosen);
+    // the per-player menu changes it too
+    transcodeProfile: 'balanced',
+    // Persistent cache of converted videos (blob-store.js)
+    cacheSize: 1024 * MB,
+    // Site hosts (as in adapters.js) where no players are added
+    disabledHosts: []
+  };
+
+  // Every setting, with defaults for the ones never saved
+  async function load() {
+    try {
+      return await chrome.storage.sync.get(DEFAULTS);
+    } catch (error) {
+      console.warn('Could not read settings:', error);
+      return { ...DEFAULTS };
+    }
+  }
+
+  function save(changes) {
+    return chrome.storage.sync.set(changes);
+  }
+
+  // Call onChange(settings) with every setting whenever one of them changes
+  function watch(onChange) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync' || !Object.keys(changes).some(key => key in DEFAULTS)) return;
+      load().then(onChange);
+    });
+  }
+
+  function siteEnabled(settings, hostname) {
+    return !settings.disabledHosts.some(host => hostname === host || hostname.endsWith('.' + host));
+  }
+
+  root.SVPSettings = { DEFAULTS, load, save, watch, siteEnabled };
+})(globalThis);
@@ -0,0 +1,112 @@
+// Content sniffing shared by content.js and offscreen.js - tells videos, archives
+// and HTML pages apart by Content-Type and by the first bytes of a file, so links
+// without a usable extension still get a player and a login or paywall page is
+// reported as such instead of being fed to JSZip or FFmpeg.
+
+(function(root) {
+  'use strict';
+
+  // Bytes needed by sniffBytes (the tar magic sits at offset 257)
+  const SNIFF_LENGTH = 512;
+
+  const ACCESS_DENIED_MESSAGE = 'Access denied - the server sent a web page instead of the file. ' +
+    'You may not be signed in, or may not have access to this article\'s supplementary material';
+
+  const VIDEO_CONTENT_TYPES = {
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+    'video/ogg': '.ogg',
+    'video/quicktime': '.mov',
+    'video/x-msvideo': '.avi',
+    'video/avi': '.avi',
+    'video/msvideo': '.avi',
+    'video/x-matroska': '.mkv',
+    'video/x-flv': '.flv',
+    'video/x-ms-wmv': '.wmv',
+    'video/x-ms-asf': '.wmv',
+    'video/x-m4v': '.m4v'
+  };
+
+  const ARCHIVE_CONTENT_TYPES = {
+    'application/zip': '.zip',
+    'application/x-zip-compressed': '.zip',
+    'application/gzip': '.gz',
+    'application/x-gzip': '.gz',
+    'application/x-tar': '.tar',
+    'application/x-gtar': '.tar.gz'
+  };
+
+  function ascii(bytes, start, length) {
+    return String.fromCharCode(...bytes.subarray(start, start + length));
+  }
+
+  // { kind: 'video' | 'archive' | 'html', format } from a Content-Type header, or null
+  // when it says nothing useful (application/octet-stream, missing)
+  function sniffContentType(contentType) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (!type) return null;
+    if (type === 'text/html' || type === 'application/xhtml+xml') return { kind: 'html', format: null };
+    if (VIDEO_CONTENT_TYPES[type]) return { kind: 'video', format: VIDEO_CONTENT_TYPES[type] };
+    if (type.startsWith('video/')) return { kind: 'video', format: null };
+    if (ARCHIVE_CONTENT_TYPES[type]) return { kind: 'archive', format: ARCHIVE_CONTENT_TYPES[type] };
+    return null;
+  }
+
+  // { kind, format } from the first bytes of a file (a Uint8Array), or null if unknown
+  function sniffBytes(bytes) {
+    if (bytes.length >= 12) {
+      const box = ascii(bytes, 4, 4);
+      if (box === 'ftyp') {
+        return { kind: 'video', format: ascii(bytes, 8, 2) === 'qt' ? '.mov' : '.mp4' };
+      }
+      if (['moov', 'mdat', 'wide', 'free', 'skip'].includes(box)) return { kind: 'video', format: '.mov' };
+      if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'AVI ') return { kind: 'video', format: '.avi' };
+    }
+    if (bytes.length >= 4) {
+      if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+        // Matroska; WebM declares its DocType near the start
+        return { kind: 'video', format: ascii(bytes, 0, Math.min(bytes.length, 64)).includes('webm') ? '.webm' : '.mkv' };
+      }
+      if (ascii(bytes, 0, 4) === 'OggS') return { kind: 'video', format: '.ogg' };
+      if (ascii(bytes, 0, 3) === 'FLV') return { kind: 'video', format: '.flv' };
+      if (bytes[0] === 0x30 && bytes[1] === 0x26 && bytes[2] === 0xb2 && bytes[3] === 0x75) return { kind: 'video', format: '.wmv' };
+      if (bytes[0] === 0x50 && bytes[1] === 0x4b && (bytes[2] === 0x03 || bytes[2] === 0x05)) return { kind: 'archive', format: '.zip' };
+    }
+    if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) return { kind: 'archive', format: '.gz' };
+    if (bytes.length >= 262 && ascii(bytes, 257, 5) === 'ustar') return { kind: 'archive', format: '.tar' };
+    if (looksLikeHtml(bytes)) return { kind: 'html', format: null };
+    return null;
+  }
+
+  // Whether bytes start like an HTML (or XHTML) document
+  function looksLikeHtml(bytes) {
+    const text = new TextDecoder().decode(bytes.subarray(0, 256)).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    return text.startsWith('<!doctype html') || text.startsWith('<html') || text.startsWith('<head') ||
+      text.startsWith('<body') || (text.startsWith('<?xml') && text.includes('<html'));
+  }
+
+  // Error for a response that is a web page (login, paywall) or was refused
+  function accessDeniedError() {
+    return new Error(ACCESS_DENIED_MESSAGE);
+  }
+
+  // Throw if a fetch response was refused or is a web page rather than a file
+  function checkResponse(response) {
+    if (response.status === 401 || response.status === 403) {
+      throw accessDeniedError();
+    }
+    const sniffed = sniffContentType(response.headers.get('content-type'));
+    if (sniffed && sniffed.kind === 'html') {
+      throw accessDeniedError();
+    }
+  }
+
+  root.SVPSniff = {
+    SNIFF_LENGTH,
+    sniffContentType,
+    sniffBytes,
+    looksLikeHtml,
+    checkResponse,
+    accessDeniedError
+  };
+})(globalThis);
@@ -0,0 +1,38 @@
+// Regenerates the host lists in manifest.json from the adapters in adapters.js
+// Usage: node sync_manifest.js
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const adaptersPath = path.join(__dirname, 'adapters.js');
+const manifestPath = path.join(__dirname, 'manifest.json');
+
+// adapters.js is a browser script; run it in a bare context and read what it registers
+const sandbox = {};
+vm.createContext(sandbox);
+vm.runInContext(fs.readFileSync(adaptersPath, 'utf8'), sandbox, { filename: adaptersPath });
+
+const patterns = sandbox.SVPAdapters.matchPatterns();
+if (patterns.length === 0) {
+  throw new Error('No adapters registered in adapters.js');
+}
+
+// Rewrite every host list (host_permissions, content script and bridge matches) in
+// place so the rest of the hand-formatted manifest is left untouched
+const text = fs.readFileSync(manifestPath, 'utf8');
+const hostListPattern = /^( *)("(?:host_permissions|matches)": )\[(?:\s*"\*:\/\/[^"]*",?)+\s*\]/gm;
+let replaced = 0;
+const updated = text.replace(hostListPattern, (match, indent, key) => {
+  replaced++;
+  const items = patterns.map(p => `${indent}  ${JSON.stringify(p)}`).join(',\n');
+  return `${indent}${key}[\n${items}\n${indent}]`;
+});
+
+if (replaced < 2) {
+  throw new Error(`Expected host_permissions and content script matches in manifest.json, found ${replaced} host lists`);
+}
+
+JSON.parse(updated);
+fs.writeFileSync(manifestPath, updated);
+console.log('manifest.json updated: ' + patterns.join(', '));
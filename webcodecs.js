@@ -0,0 +1,236 @@
+// WebCodecs encoding for the offscreen document - FFmpeg decodes the input to raw
+// frames a chunk at a time, VideoEncoder (hardware where the machine has it) encodes
+// them to H.264, and FFmpeg muxes that stream with the audio into an MP4 without
+// re-encoding the video. Much faster than libx264 in WASM.
+// Audio is cheap to encode, so FFmpeg's AAC encoder still handles it while muxing.
+
+(function(root) {
+  'use strict';
+
+  // Raw frames decoded per FFmpeg run; chunks get fewer frames to stay under this
+  const MAX_RAW_CHUNK_BYTES = 96 * 1024 * 1024;
+  // Frames waiting in the encoder before decoding more frames waits
+  const MAX_ENCODE_QUEUE = 8;
+  // Seconds between key frames, so the result seeks well
+  const KEY_FRAME_SECONDS = 2;
+  const DEFAULT_FPS = 30;
+
+  // H.264 High profile at level 4.0 (1080p30) or 5.1 (4K), by macroblocks per frame and second
+  function avcCodec(width, height, fps) {
+    const macroblocks = Math.ceil(width / 16) * Math.ceil(height / 16);
+    if (macroblocks <= 8192 && macroblocks * fps <= 245760) return 'avc1.640028';
+    if (macroblocks <= 36864 && macroblocks * fps <= 983040) return 'avc1.640033';
+    return null;
+  }
+
+  // Frame rate to encode at; probes of odd files report nonsense like 1000 fps
+  function frameRate(streams) {
+    const fps = streams.video[0] && streams.video[0].fps;
+    return fps && fps >= 1 && fps <= 120 ? fps : DEFAULT_FPS;
+  }
+
+  // Encoder settings for the input's first video stream and a quality profile (see
+  // profiles.js), or null when it has no usable size. The picture is scaled down to
+  // the profile's maxHeight, and odd dimensions are rounded down for 4:2:0.
+  function encoderConfig(streams, profile) {
+    const video = streams.video[0];
+    if (!video || !video.width || !video.height) return null;
+    const scale = profile.maxHeight && video.height > profile.maxHeight ? profile.maxHeight / video.height : 1;
+    const width = Math.round(video.width * scale / 2) * 2;
+    const height = Math.round(video.height * scale / 2) * 2;
+    const fps = frameRate(streams);
+    const codec = avcCodec(width, height, fps);
+    if (!codec) return null;
+
+    return {
+      codec,
+      width,
+      height,
+      framerate: fps,
+      bitrate: Math.min(Math.max(Math.round(width * height * fps * profile.bitsPerPixel), 300000), 40000000),
+      bitrateMode: 'variable',
+      latencyMode: 'quality',
+      avc: { format: 'annexb' }
+    };
+  }
+
+  // Encoder settings when this input can be encoded with WebCodecs here for an MP4
+  // profile, else null
+  async function supportedConfig(streams, profile) {
+    if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') return null;
+    if (!streams.duration || !profile.bitsPerPixel) return null;
+    const config = encoderConfig(streams, profile);
+    if (!config) return null;
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      return supported ? config : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function joinBytes(parts) {
+    const joined = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+      joined.set(part, position);
+      position += part.length;
+    }
+    return joined;
+  }
+
+  // Encode frameCount frames from firstFrame to an Annex B H.264 stream that starts
+  // with a key frame, so segments can be played or joined on their own. Frames are
+  // decoded chunkFrames at a time by decode(first, count), which resolves I420 bytes
+  // (fewer frames at the end of the video). Resolves { data, frames }.
+  async function encodeSegment(config, firstFrame, frameCount, chunkFrames, decode, onFrame) {
+    const frameSize = config.width * config.height * 3 / 2;
+    const keyInterval = Math.max(Math.round(config.framerate * KEY_FRAME_SECONDS), 1);
+    const frameDuration = 1e6 / config.framerate;
+    const output = [];
+    let encoderError = null;
+    let encoded = 0;
+
+    const encoder = new VideoEncoder({
+      output(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        output.push(data);
+      },
+      error(error) {
+        encoderError = error;
+      }
+    });
+
+    try {
+      encoder.configure(config);
+      while (encoded < frameCount) {
+        const wanted = Math.min(chunkFrames, frameCount - encoded);
+        const raw = await decode(firstFrame + encoded, wanted);
+        const rawFrames = Math.min(Math.floor(raw.length / frameSize), wanted);
+        for (let i = 0; i < rawFrames; i++) {
+          if (encoderError) throw encoderError;
+          while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+            await new Promise(resolve => encoder.addEventListener('dequeue', resolve, { once: true }));
+          }
+          const frame = new VideoFrame(raw.subarray(i * frameSize, (i + 1) * frameSize), {
+            format: 'I420',
+            codedWidth: config.width,
+            codedHeight: config.height,
+            timestamp: Math.round((firstFrame + encoded) * frameDuration),
+            duration: Math.round(frameDuration)
+          });
+          encoder.encode(frame, { keyFrame: encoded % keyInterval === 0 });
+          frame.close();
+          encoded++;
+          onFrame(encoded, frameCount);
+        }
+        // The video ended early
+        if (rawFrames < wanted) break;
+      }
+      await encoder.flush();
+      if (encoderError) throw encoderError;
+    } finally {
+      if (encoder.state !== 'closed') encoder.close();
+    }
+    return { data: joinBytes(output), frames: encoded };
+  }
+
+  // Convert inputName (in the FFmpeg FS) to an MP4 at outputName.
+  // options: { config (from supportedConfig), streams (probe), audioArgs (FFmpeg
+  //   audio encoding options), threadArgs, outputArgs (FFmpeg output options such as
+  //   a size limit), segmentSeconds, onProgress(fraction),
+  //   onSegment(data, { index, count, start, duration, mimeType }) }
+  // With onSegment, each segment is also delivered as a fragmented MP4.
+  async function transcode(ff, inputName, outputName, options) {
+    const { config, streams, audioArgs, threadArgs, outputArgs = [], segmentSeconds, onProgress, onSegment } = options;
+    const fps = config.framerate;
+    const frameBytes = config.width * config.height * 3 / 2;
+    // Segments are cut at whole frames. Raw frames are decoded in chunks of at most
+    // MAX_RAW_CHUNK_BYTES, so large pictures take several FFmpeg runs per segment.
+    const segmentFrames = Math.max(Math.round(segmentSeconds * fps), 1);
+    const chunkFrames = Math.min(Math.max(Math.floor(MAX_RAW_CHUNK_BYTES / frameBytes), 1), segmentFrames);
+    const totalFrames = Math.max(Math.round(streams.duration * fps), 1);
+    const count = Math.ceil(totalFrames / segmentFrames);
+    const hasAudio = streams.audio.length > 0;
+    const mimeType = `video/mp4; codecs="${hasAudio ? config.codec + ', mp4a.40.2' : config.codec}"`;
+    const rawName = `${outputName}.yuv`;
+    const videoName = `${outputName}.h264`;
+    const encoded = [];
+
+    // I420 frames first..first+frames of the input's first video stream
+    async function decodeFrames(first, frames) {
+      // Decoding threads are an input option
+      await ff.exec([
+        '-ss', String(first / fps),
+        ...threadArgs,
+        '-i', inputName,
+        '-map', '0:v:0',
+        '-vf', `scale=${config.width}:${config.height}`,
+        '-r', String(fps),
+        '-frames:v', String(frames),
+        '-pix_fmt', 'yuv420p',
+        '-f', 'rawvideo',
+        rawName
+      ]);
+      const raw = await ff.readFile(rawName);
+      await ff.deleteFile(rawName);
+      return raw;
+    }
+
+    // The encoded stream with the input's audio (trimmed to the same window) in an MP4
+    function muxArgs(start, length, movflags, target) {
+      const trim = start === null ? [] : ['-ss', String(start), '-t', String(length)];
+      return [
+        '-framerate', String(fps), '-i', videoName,
+        ...trim, '-i', inputName,
+        '-map', '0:v', '-map', '1:a?',
+        '-c:v', 'copy', ...audioArgs,
+        '-movflags', movflags,
+        ...outputArgs,
+        target
+      ];
+    }
+
+    async function mux(args) {
+      if (await ff.exec(args) !== 0) {
+        throw new Error('Muxing the encoded video failed');
+      }
+    }
+
+    onProgress(0);
+    try {
+      for (let index = 0; index < count; index++) {
+        const first = index * segmentFrames;
+        const frames = Math.min(segmentFrames, totalFrames - first);
+        const segment = await encodeSegment(config, first, frames, chunkFrames, decodeFrames, (done, total) => {
+          onProgress((index + done / Math.max(total, 1)) / count);
+        });
+        if (segment.frames === 0) break;
+        encoded.push(segment.data);
+        // A short segment is the last one, whatever the probed duration said
+        const last = segment.frames < frames || index === count - 1;
+
+        if (onSegment) {
+          const start = first / fps;
+          const segmentName = `${outputName}.part${index}.mp4`;
+          await ff.writeFile(videoName, segment.data);
+          await mux(muxArgs(start, segment.frames / fps, 'frag_keyframe+empty_moov+default_base_moof', segmentName));
+          const data = await ff.readFile(segmentName);
+          await ff.deleteFile(segmentName);
+          await onSegment(data, { index, count: last ? index + 1 : count, start, duration: streams.duration, mimeType });
+        }
+        if (last) break;
+      }
+
+      // Every segment starts with a key frame, so the Annex B streams join as they are
+      await ff.writeFile(videoName, joinBytes(encoded));
+      await mux(muxArgs(null, null, '+faststart', outputName));
+    } finally {
+      await ff.deleteFile(rawName).catch(() => {});
+      await ff.deleteFile(videoName).catch(() => {});
+    }
+  }
+
+  root.SVPWebCodecs = { avcCodec, frameRate, supportedConfig, transcode };
+})(globalThis);
@@ -0,0 +1,232 @@
+// Range-request ZIP reader - lists a remote archive from its central directory and
+// fetches single entries, so picking one movie does not download the whole ZIP.
+// Loaded as a content script before content.js; the requests carry page cookies.
+// open() resolves null when the server ignores Range headers, and callers fall
+// back to downloading the full archive. The offscreen archive layer lists ZIPs it
+// already holds with listBlob().
+// Entries are held to the size and compression ratio limits of SVPLimits (limits.js).
+
+(function(root) {
+  'use strict';
+
+  const EOCD_SIGNATURE = 0x06054b50;
+  const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+  const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+  const CENTRAL_SIGNATURE = 0x02014b50;
+  const LOCAL_SIGNATURE = 0x04034b50;
+
+  const EOCD_SIZE = 22;
+  const ZIP64_LOCATOR_SIZE = 20;
+  const ZIP64_EOCD_SIZE = 56;
+  const CENTRAL_HEADER_SIZE = 46;
+  const LOCAL_HEADER_SIZE = 30;
+  const MAX_COMMENT_SIZE = 0xffff;
+
+  const METHOD_STORED = 0;
+  const METHOD_DEFLATE = 8;
+
+  // Fetch bytes [start, end] of url; null when the server answers with the full body
+  async function fetchRange(url, start, end, signal) {
+    const response = await fetch(url, {
+      credentials: 'include',
+      headers: { Range: `bytes=${start}-${end}` },
+      signal
+    });
+    if (response.status !== 206) {
+      if (response.body) response.body.cancel().catch(() => {});
+      if (!response.ok) throw new Error(`Fetch failed: ${response.status}`);
+      return null;
+    }
+    return response;
+  }
+
+  async function fetchBytes(url, start, end, signal) {
+    const response = await fetchRange(url, start, end, signal);
+    if (!response) throw new Error('Server stopped honouring range requests');
+    return new DataView(await response.arrayBuffer());
+  }
+
+  // Archive size from Content-Range ("bytes 0-99/1234")
+  function totalFromContentRange(response) {
+    const match = /\/(\d+)\s*$/.exec(response.headers.get('content-range') || '');
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  function readUint64(view, offset) {
+    return Number(view.getBigUint64(offset, true));
+  }
+
+  // Locate the end of central directory record in the archive tail
+  function findEocd(view) {
+    for (let i = view.byteLength - EOCD_SIZE; i >= 0; i--) {
+      if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+    }
+    return -1;
+  }
+
+  // { offset, size, count } of the central directory, reading ZIP64 records when needed.
+  // readBytes(start, end) resolves a DataView of bytes the tail does not hold.
+  async function readDirectoryLocation(readBytes, tail, tailStart) {
+    const eocd = findEocd(tail);
+    if (eocd < 0) throw new Error('Not a ZIP archive (no end of central directory)');
+
+    let count = tail.getUint16(eocd + 10, true);
+    let size = tail.getUint32(eocd + 12, true);
+    let offset = tail.getUint32(eocd + 16, true);
+
+    if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+      const locator = eocd - ZIP64_LOCATOR_SIZE;
+      if (locator < 0 || tail.getUint32(locator, true) !== ZIP64_LOCATOR_SIGNATURE) {
+        throw new Error('ZIP64 locator not found');
+      }
+      const zip64Offset = readUint64(tail, locator + 8);
+      const zip64 = zip64Offset >= tailStart
+        ? new DataView(tail.buffer, tail.byteOffset + zip64Offset - tailStart, ZIP64_EOCD_SIZE)
+        : await readBytes(zip64Offset, zip64Offset + ZIP64_EOCD_SIZE - 1);
+      if (zip64.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+        throw new Error('ZIP64 end of central directory not found');
+      }
+      count = readUint64(zip64, 32);
+      size = readUint64(zip64, 40);
+      offset = readUint64(zip64, 48);
+    }
+
+    return { offset, size, count };
+  }
+
+  // Sizes and offset above 4GB live in the ZIP64 extra field, in this order,
+  // and only for the header fields that are saturated
+  function applyZip64Extra(entry, view, start, length) {
+    let position = start;
+    const end = start + length;
+    while (position + 4 <= end) {
+      const id = view.getUint16(position, true);
+      const fieldSize = view.getUint16(position + 2, true);
+      if (id === 0x0001) {
+        let field = position + 4;
+        if (entry.size === 0xffffffff) { entry.size = readUint64(view, field); field += 8; }
+        if (entry.compressedSize === 0xffffffff) { entry.compressedSize = readUint64(view, field); field += 8; }
+        if (entry.offset === 0xffffffff) { entry.offset = readUint64(view, field); }
+        return;
+      }
+      position += 4 + fieldSize;
+    }
+  }
+
+  function parseDirectory(view, count) {
+    const decoder = new TextDecoder();
+    const entries = [];
+    let position = 0;
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(position, true) !== CENTRAL_SIGNATURE) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+      const flags = view.getUint16(position + 8, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const extraLength = view.getUint16(position + 30, true);
+      const commentLength = view.getUint16(position + 32, true);
+      const nameStart = position + CENTRAL_HEADER_SIZE;
+
+      const entry = {
+        name: decoder.decode(new Uint8Array(view.buffer, view.byteOffset + nameStart, nameLength)),
+        method: view.getUint16(position + 10, true),
+        encrypted: (flags & 0x1) !== 0,
+        compressedSize: view.getUint32(position + 20, true),
+        size: view.getUint32(position + 24, true),
+        offset: view.getUint32(position + 42, true)
+      };
+      applyZip64Extra(entry, view, nameStart + nameLength, extraLength);
+      entry.dir = entry.name.endsWith('/');
+      entries.push(entry);
+
+      position = nameStart + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+
+  // Entries of the archive whose tail (starting at tailStart) has been read
+  async function readDirectory(readBytes, tail, tailStart) {
+    const directory = await readDirectoryLocation(readBytes, tail, tailStart);
+    const directoryView = directory.offset >= tailStart
+      ? new DataView(tail.buffer, tail.byteOffset + directory.offset - tailStart, directory.size)
+      : await readBytes(directory.offset, directory.offset + directory.size - 1);
+    SVPLimits.checkEntryCount(directory.count);
+    return parseDirectory(directoryView, directory.count);
+  }
+
+  // Count compressed bytes as they stream past
+  function countingStream(onBytes) {
+    return new TransformStream({
+      transform(chunk, controller) {
+        onBytes(chunk.length);
+        controller.enqueue(chunk);
+      }
+    });
+  }
+
+  // Open a remote ZIP. Resolves { size, entries, read(entry, onBytes, signal) } with
+  // entries as { name, dir, size, compressedSize, method, encrypted, offset },
+  // or null when the server does not support range requests.
+  async function open(url, signal, knownSize = 0) {
+    const tailLength = EOCD_SIZE + MAX_COMMENT_SIZE;
+    let response;
+    if (knownSize) {
+      response = await fetchRange(url, Math.max(0, knownSize - tailLength), knownSize - 1, signal);
+    } else {
+      response = await fetch(url, { credentials: 'include', headers: { Range: `bytes=-${tailLength}` }, signal });
+      if (response.status !== 206) {
+        if (response.body) response.body.cancel().catch(() => {});
+        response = null;
+      }
+    }
+    if (!response) return null;
+
+    const size = knownSize || totalFromContentRange(response);
+    const tail = new DataView(await response.arrayBuffer());
+    if (!size) return null;
+    const tailStart = size - tail.byteLength;
+
+    const entries = await readDirectory((start, end) => fetchBytes(url, start, end, signal), tail, tailStart);
+
+    // Fetch one entry and inflate it; onBytes(n) is called as compressed bytes arrive
+    async function read(entry, onBytes, readSignal) {
+      if (entry.encrypted) throw new Error('Encrypted ZIP entries are not supported');
+      if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+        throw new Error('Unsupported ZIP compression method: ' + entry.method);
+      }
+      SVPLimits.checkEntry(entry.name, entry.size, entry.method === METHOD_DEFLATE ? entry.compressedSize : 0);
+
+      // The local header's extra field may differ from the central one, so read it first
+      const header = await fetchBytes(url, entry.offset, entry.offset + LOCAL_HEADER_SIZE - 1, readSignal);
+      if (header.getUint32(0, true) !== LOCAL_SIGNATURE) {
+        throw new Error('Corrupt ZIP entry: ' + entry.name);
+      }
+      const dataStart = entry.offset + LOCAL_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+      if (entry.compressedSize === 0) return new Blob([]);
+
+      const dataResponse = await fetchRange(url, dataStart, dataStart + entry.compressedSize - 1, readSignal);
+      if (!dataResponse) throw new Error('Server stopped honouring range requests');
+
+      let stream = dataResponse.body.pipeThrough(countingStream(onBytes || (() => {})));
+      if (entry.method === METHOD_DEFLATE) {
+        // Inflating stops once the entry outgrows the size its headers declare
+        stream = stream
+          .pipeThrough(new DecompressionStream('deflate-raw'))
+          .pipeThrough(SVPLimits.limitStream(entry.size, () => SVPLimits.sizeMismatchError(entry.name)));
+      }
+      return new Response(stream).blob();
+    }
+
+    return { size, entries, read };
+  }
+
+  // Entries of a ZIP held in a Blob, as open() lists them, from its central directory
+  async function listBlob(blob) {
+    const readBytes = async (start, end) => new DataView(await blob.slice(start, end + 1).arrayBuffer());
+    const tailStart = Math.max(0, blob.size - EOCD_SIZE - MAX_COMMENT_SIZE);
+    return readDirectory(readBytes, await readBytes(tailStart, blob.size - 1), tailStart);
+  }
+
+  root.SVPZipReader = { open, listBlob };
+})(globalThis);